@@ -1,262 +1,477 @@
 /**
  * Cardboard Slicer
  */
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import * as THREE from 'three';
-import { Upload, Download, Layers, Ruler, Square, Play, Loader } from 'lucide-react';
-
-// --- STL Parsing Utilities ---
-function parseSTLAscii(text) {
-  const triangles = [];
-  const lines = text.split('\n');
-  let currentTri = [];
-  for (let line of lines) {
-    line = line.trim();
-    if (line.startsWith('vertex')) {
-      const parts = line.split(/\s+/);
-      currentTri.push({
-        x: parseFloat(parts[1]),
-        y: parseFloat(parts[2]),
-        z: parseFloat(parts[3])
-      });
-      if (currentTri.length === 3) {
-        triangles.push(currentTri);
-        currentTri = [];
-      }
-    }
-  }
-  return triangles;
+import { Upload, Download, Layers, Ruler, Square, Play, Loader, X, Axis3d, RotateCcw, Grid3x3, LayoutGrid, Scissors, CircleDot, Spline, Eraser, Package, Trash2, Clock, Printer, Cpu, Eye, SlidersHorizontal, Save, FolderOpen } from 'lucide-react';
+import { packShapes, unpackShapes, DEFAULT_ORIENTATION, DEFAULT_SCALING } from './cardboard-slicer/geometry.js';
+import { applyKerf, applyPlacementGuides, simplifyParts, countNodes } from './cardboard-slicer/polygons.js';
+import { DEFAULT_SHEET } from './cardboard-slicer/nesting.js';
+import { cleanupParts } from './cardboard-slicer/cleanup.js';
+import { drillDowels } from './cardboard-slicer/dowels.js';
+import { loadMaterials, saveMaterials, createMaterial } from './cardboard-slicer/materials.js';
+import { summarizeJob, jobSheetHTML, formatDuration, formatLength, formatArea } from './cardboard-slicer/summary.js';
+import { planSheet, planToGCode, sheetFitsBed, DEFAULT_MACHINE, ORIGINS } from './cardboard-slicer/gcode.js';
+import ToolpathPlayer from './cardboard-slicer/toolpath-player.jsx';
+import { applyLabels, formatLabel, DEFAULT_LABEL_FORMAT } from './cardboard-slicer/labels.js';
+import { sheetToSVG, sheetToDXF, SVG_COLORS } from './cardboard-slicer/exporters.js';
+import { placedPaths, placedEngraving } from './cardboard-slicer/cutorder.js';
+import { pathBounds, pointInPolygon } from './cardboard-slicer/polygons.js';
+import { createOrbitControls } from './cardboard-slicer/camera-controls.js';
+import { listProjects, saveProject, loadProject, deleteProject, createProjectId, projectToFile, projectFromFile } from './cardboard-slicer/projects.js';
+import { applyTabs, DEFAULT_TABS } from './cardboard-slicer/tabs.js';
+
+// --- File Export ---
+function downloadFile(content, type, fileName) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
 }
 
-function parseSTLBinary(buffer) {
-  const dataView = new DataView(buffer);
-  const numTriangles = dataView.getUint32(80, true);
-  const triangles = [];
-  let offset = 84;
-  for (let i = 0; i < numTriangles; i++) {
-    // Skip 12 bytes for normal
-    const v1 = {
-      x: dataView.getFloat32(offset + 12, true),
-      y: dataView.getFloat32(offset + 16, true),
-      z: dataView.getFloat32(offset + 20, true)
-    };
-    const v2 = {
-      x: dataView.getFloat32(offset + 24, true),
-      y: dataView.getFloat32(offset + 28, true),
-      z: dataView.getFloat32(offset + 32, true)
-    };
-    const v3 = {
-      x: dataView.getFloat32(offset + 36, true),
-      y: dataView.getFloat32(offset + 40, true),
-      z: dataView.getFloat32(offset + 44, true)
-    };
-    triangles.push([v1, v2, v3]);
-    offset += 50;
-  }
-  return triangles;
+// Holds a value back until it has stopped changing for `delay` ms, so typing into a field
+// reruns the heavy post-processing once rather than on every keystroke
+function useSettledValue(value, delay = 300) {
+  const [settled, setSettled] = useState(value);
+  useEffect(() => {
+    const timer = setTimeout(() => setSettled(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+  return settled;
 }
 
-function parseSTL(buffer) {
-  const view = new Uint8Array(buffer);
-  const headerText = new TextDecoder().decode(view.subarray(0, 200));
-  if (headerText.includes("solid") && headerText.includes("facet normal")) {
-    return parseSTLAscii(new TextDecoder().decode(buffer));
-  }
-  return parseSTLBinary(buffer);
+// Fit-to-sheet scaling is solved in the worker, which needs the sheet, construction and kerf too
+function scalingRequest(scaling, sheet, construction, kerf) {
+  return scaling.mode === 'fit' ? { ...scaling, sheet, construction, kerf } : scaling;
 }
 
-// --- Geometry Math & Slicing ---
-function normalizeTriangles(triangles, targetHeight) {
-  let minZ = Infinity, maxZ = -Infinity;
-  let minX = Infinity, maxX = -Infinity;
-  let minY = Infinity, maxY = -Infinity;
-
-  for (const tri of triangles) {
-    for (const v of tri) {
-      if (v.z < minZ) minZ = v.z;
-      if (v.z > maxZ) maxZ = v.z;
-      if (v.x < minX) minX = v.x;
-      if (v.x > maxX) maxX = v.x;
-      if (v.y < minY) minY = v.y;
-      if (v.y > maxY) maxY = v.y;
-    }
-  }
-
-  const rawHeight = maxZ - minZ;
-  const scale = targetHeight / rawHeight;
-
-  const cX = (minX + maxX) / 2;
-  const cY = (minY + maxY) / 2;
-  const cZ = minZ;
-
-  const scaledTriangles = triangles.map(tri =>
-    tri.map(v => ({
-      x: (v.x - cX) * scale,
-      y: (v.y - cY) * scale,
-      z: (v.z - cZ) * scale
-    }))
-  );
-
-  return {
-    triangles: scaledTriangles,
-    width: (maxX - minX) * scale,
-    length: (maxY - minY) * scale,
-    height: targetHeight
-  };
+// --- Part Placement ---
+// Maps a part's flat (u, v) profile into model space, `offset` mm along its normal from the
+// slice plane; extrusion runs along local Z
+function partMatrix(part, offset) {
+  if (part.kind !== 'rib') return new THREE.Matrix4().makeTranslation(0, 0, part.position + offset);
+  return part.axis === 'x'
+    ? new THREE.Matrix4().makeBasis(new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1), new THREE.Vector3(1, 0, 0))
+        .setPosition(part.position + offset, 0, 0)
+    : new THREE.Matrix4().makeBasis(new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 0, 1), new THREE.Vector3(0, -1, 0))
+        .setPosition(0, part.position - offset, 0);
 }
 
-function intersectTriangleZ(v1, v2, v3, z) {
-  const pts = [v1, v2, v3].sort((a, b) => a.z - b.z);
-  if (z < pts[0].z || z > pts[2].z) return null;
-  if (z === pts[0].z && z === pts[2].z) return null;
-
-  const interpolate = (pA, pB, zTarget) => {
-    if (pB.z === pA.z) return { x: pA.x, y: pA.y };
-    const t = (zTarget - pA.z) / (pB.z - pA.z);
-    return {
-      x: pA.x + t * (pB.x - pA.x),
-      y: pA.y + t * (pB.y - pA.y)
-    };
-  };
-
-  const p1 = interpolate(pts[0], pts[2], z);
-  let p2 = z <= pts[1].z ? interpolate(pts[0], pts[1], z) : interpolate(pts[1], pts[2], z);
-
-  if (Math.abs(p1.x - p2.x) < 1e-5 && Math.abs(p1.y - p2.y) < 1e-5) return null;
-  return { p1, p2 };
-}
-
-function connectSegments(segments) {
-  let paths = [];
-  let remaining = [...segments];
-  const EPSILON = 1e-5;
-  const getDistSq = (pA, pB) => (pA.x - pB.x) ** 2 + (pA.y - pB.y) ** 2;
-
-  while (remaining.length > 0) {
-    let currentPath = [];
-    let currentSeg = remaining.pop();
-    currentPath.push(currentSeg.p1, currentSeg.p2);
-
-    let changed = true;
-    while (changed) {
-      changed = false;
-      let head = currentPath[0];
-      let tail = currentPath[currentPath.length - 1];
-
-      for (let i = 0; i < remaining.length; i++) {
-        let seg = remaining[i];
-        if (getDistSq(seg.p1, tail) < EPSILON) {
-          currentPath.push(seg.p2); remaining.splice(i, 1); changed = true; break;
-        } else if (getDistSq(seg.p2, tail) < EPSILON) {
-          currentPath.push(seg.p1); remaining.splice(i, 1); changed = true; break;
-        } else if (getDistSq(seg.p1, head) < EPSILON) {
-          currentPath.unshift(seg.p2); remaining.splice(i, 1); changed = true; break;
-        } else if (getDistSq(seg.p2, head) < EPSILON) {
-          currentPath.unshift(seg.p1); remaining.splice(i, 1); changed = true; break;
-        }
-      }
-    }
-
-    // Close the loop if head meets tail
-    if (currentPath.length > 2 && getDistSq(currentPath[0], currentPath[currentPath.length - 1]) < EPSILON) {
-      currentPath.pop();
-    }
-    paths.push(currentPath);
-  }
-  return paths;
+// --- Blueprint Grid ---
+// Sheets are drawn in a near-square grid; positions in mm unless noted
+const BLUEPRINT_SCALE = 4; // Canvas pixels per mm
+const BLUEPRINT_GAP = 20; // mm between sheets on screen
+
+function blueprintGrid(layout) {
+  const cols = Math.ceil(Math.sqrt(layout.sheets.length));
+  const cellW = Math.max(...layout.sheets.map(sh => sh.width)) + BLUEPRINT_GAP;
+  const cellH = Math.max(...layout.sheets.map(sh => sh.height)) + BLUEPRINT_GAP;
+  const origin = sheetIdx => ({
+    x: (sheetIdx % cols) * cellW + BLUEPRINT_GAP / 2,
+    y: Math.floor(sheetIdx / cols) * cellH + BLUEPRINT_GAP / 2
+  });
+  return { cols, rows: Math.ceil(layout.sheets.length / cols), cellW, cellH, origin };
 }
 
 export default function App() {
   // App State
   const [file, setFile] = useState(null);
-  const [status, setStatus] = useState("Idle. Upload an STL file to begin.");
+  const [status, setStatus] = useState("Idle. Upload an STL, OBJ or 3MF file to begin.");
   const [progress, setProgress] = useState(0);
   const [modelData, setModelData] = useState(null);
   const [slices, setSlices] = useState([]);
 
   // Settings State
-  const [targetHeight, setTargetHeight] = useState(100); // mm
+  const [scaling, setScaling] = useState(DEFAULT_SCALING); // { mode: 'size' | 'factor' | 'fit', axis, size, factor }
   const [sliceMode, setSliceMode] = useState('thickness'); // 'thickness' or 'count'
   const [layerThickness, setLayerThickness] = useState(4); // mm
   const [layerCount, setLayerCount] = useState(25);
+  const [construction, setConstruction] = useState('stacked'); // 'stacked' or 'waffle'
+  const [ribsX, setRibsX] = useState(6);
+  const [ribsY, setRibsY] = useState(6);
+  const [dowelCount, setDowelCount] = useState(0); // Alignment dowels per run of layers, 0 = off
+  const [dowelDiameter, setDowelDiameter] = useState(3); // mm, e.g. a bamboo skewer
+  const [dowels, setDowels] = useState([]); // { x, y, diameter, from, to } for the current layers
+  const [sheet, setSheet] = useState(DEFAULT_SHEET); // { width, height, gap, allowRotation } in mm
+  const [layout, setLayout] = useState(null); // Nested sheets for the current slices
+  const [cleanup, setCleanup] = useState({ minArea: 1, minWidth: 0, mergeGap: 0 }); // mm², mm, mm; 0 = off
+  const [tolerance, setTolerance] = useState(0.05); // mm a simplified path may stray from the slice
+  const [kerf, setKerf] = useState(0); // mm of material the beam removes
+  const [kerfJoin, setKerfJoin] = useState('miter'); // 'miter' or 'round'
+  const [tabs, setTabs] = useState(DEFAULT_TABS); // { count, width } holding tabs per outer; 0 = off
+  const [engraveGuides, setEngraveGuides] = useState(true); // Engrave where the layer above sits
+  const [labelFormat, setLabelFormat] = useState(DEFAULT_LABEL_FORMAT); // e.g. 'A-{nn}'
+  const [library, setLibrary] = useState(loadMaterials); // { materials, selectedId } kept in localStorage
+  const [newMaterial, setNewMaterial] = useState({ name: '', cost: 1, color: '#cd853f' });
+  const [machine, setMachine] = useState(DEFAULT_MACHINE); // G-code profile, feeds in mm/min
+  const [showToolpath, setShowToolpath] = useState(false);
+  const [sliceAxis, setSliceAxis] = useState(DEFAULT_ORIENTATION.axis); // 'x', 'y' or 'z'
+  const [rotation, setRotation] = useState(DEFAULT_ORIENTATION.rotation); // degrees
+  const [selectedPart, setSelectedPart] = useState(null); // Part index picked with the layer scrubber
+  const [project, setProject] = useState({ id: null, name: '' }); // id is null until first saved
+  const [recentProjects, setRecentProjects] = useState([]); // Stored projects, newest first
 
   // Refs for 3D and 2D rendering
   const threeContainerRef = useRef(null);
   const leftCanvasRef = useRef(null);
   const rightCanvasRef = useRef(null);
   const blueprintCanvasRef = useRef(null);
+  const blueprintScrollRef = useRef(null);
+  const sourceRef = useRef(null); // { fileName, buffer } of the loaded model, kept for saving
   const scenesRef = useRef({ scene1: null, scene2: null, renderer1: null, renderer2: null, camera1: null, camera2: null });
 
+  // Slicing Worker: parsing, normalizing and slicing all run off the main thread
+  const workerRef = useRef(null);
+  const sliceJobRef = useRef({ id: 0, parts: [] });
+  const nestIdRef = useRef(0);
+  const [isSlicing, setIsSlicing] = useState(false);
+
+  useEffect(() => {
+    const worker = new Worker(new URL('./cardboard-slicer/slicer.worker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      const job = sliceJobRef.current;
+      switch (msg.type) {
+        case 'model':
+          setModelData({
+            positions: msg.positions,
+            triangleCount: msg.triangleCount,
+            scale: msg.scale,
+            width: msg.width,
+            length: msg.length,
+            height: msg.height
+          });
+          setStatus("Model Loaded. Ready to slice.");
+          break;
+        case 'layFlat':
+          setSliceAxis('z');
+          setRotation(msg.rotation);
+          break;
+        case 'part':
+          if (msg.jobId !== job.id) return;
+          job.parts[msg.index] = { ...msg.part, shapes: unpackShapes(msg) };
+          setProgress(((msg.index + 1) / msg.count) * 100);
+          break;
+        case 'progress':
+          if (msg.jobId !== job.id) return;
+          setProgress(msg.progress);
+          break;
+        case 'done':
+          if (msg.jobId !== job.id) return;
+          setSlices(job.parts);
+          setDowels(msg.dowels || []);
+          if (msg.slotFailures) {
+            setStatus(`Built ${msg.count} ribs; ${msg.slotFailures} slots could not be cut cleanly.`);
+          } else if (msg.breaks?.length) {
+            const gaps = msg.breaks.map(([a, b]) => `${a + 1}/${b + 1}`).join(', ');
+            setStatus(`Sliced ${msg.count} layers; no common dowel point between layers ${gaps}.`);
+          } else {
+            setStatus(`Sliced ${msg.count} ${job.parts[0]?.kind === 'rib' ? 'ribs' : 'layers'} successfully.`);
+          }
+          setProgress(100);
+          setIsSlicing(false);
+          break;
+        case 'layout':
+          if (msg.nestId !== nestIdRef.current) return;
+          setLayout(msg.layout);
+          break;
+        case 'cancelled':
+          if (msg.jobId !== job.id) return;
+          setStatus("Slicing cancelled.");
+          setProgress(0);
+          setIsSlicing(false);
+          break;
+        case 'error':
+          if (msg.jobId !== undefined && msg.jobId !== job.id) return;
+          console.error(msg.message);
+          if (msg.request === 'load') {
+            setModelData(null);
+            setStatus("Error parsing model. Please ensure it's a valid STL, OBJ or 3MF file.");
+          } else {
+            setStatus(`Error: ${msg.message}`);
+          }
+          setProgress(0);
+          setIsSlicing(false);
+          break;
+        default:
+          break;
+      }
+    };
+
+    // Uncaught worker failures (a syntax error loading it, an exception outside any handler)
+    worker.onerror = (e) => {
+      console.error(e.message);
+      sliceJobRef.current = { id: sliceJobRef.current.id + 1, parts: [] };
+      setStatus(`Error: ${e.message || 'the slicing worker stopped unexpectedly'}`);
+      setProgress(0);
+      setIsSlicing(false);
+    };
+
+    return () => worker.terminate();
+  }, []);
+
+  // --- Material Library ---
+  const material = library.materials.find(m => m.id === library.selectedId) || null;
+
+  useEffect(() => {
+    saveMaterials(library.materials, library.selectedId);
+  }, [library]);
+
+  // A material sets the stock-dependent settings; they stay editable afterwards
+  const applyMaterial = (m) => {
+    setSliceMode('thickness');
+    setLayerThickness(m.thickness);
+    setSheet(prev => ({ ...prev, width: m.sheetWidth, height: m.sheetHeight }));
+    setKerf(m.kerf);
+  };
+
+  useEffect(() => {
+    if (material) applyMaterial(material); // Restore the stored selection on load
+  }, []);
+
+  const selectMaterial = (id) => {
+    setLibrary(prev => ({ ...prev, selectedId: id || null }));
+    const m = library.materials.find(item => item.id === id);
+    if (m) applyMaterial(m);
+  };
+
+  const addMaterial = () => {
+    if (!newMaterial.name.trim()) return;
+    const m = createMaterial({
+      name: newMaterial.name.trim(),
+      thickness: layerThickness,
+      sheetWidth: sheet.width,
+      sheetHeight: sheet.height,
+      cost: newMaterial.cost,
+      kerf,
+      color: newMaterial.color
+    });
+    setLibrary(prev => ({ materials: [...prev.materials, m], selectedId: m.id }));
+    setNewMaterial(prev => ({ ...prev, name: '' }));
+  };
+
+  const deleteMaterial = (id) => {
+    setLibrary(prev => ({
+      materials: prev.materials.filter(m => m.id !== id),
+      selectedId: prev.selectedId === id ? null : prev.selectedId
+    }));
+  };
+
+  // Any model change abandons the in-flight job on the page side as well
+  const resetSliceJob = () => {
+    sliceJobRef.current = { id: sliceJobRef.current.id + 1, parts: [] };
+    setIsSlicing(false);
+    setProgress(0);
+    setSlices([]);
+    setDowels([]);
+    setSelectedPart(null);
+  };
+
   // Handle File Upload
   const handleFileUpload = (e) => {
     const uploadedFile = e.target.files[0];
     if (!uploadedFile) return;
     setFile(uploadedFile);
-    setStatus("Parsing STL file...");
+    setStatus(`Parsing ${uploadedFile.name}...`);
 
     const reader = new FileReader();
     reader.onload = (event) => {
-      try {
-        const rawTriangles = parseSTL(event.target.result);
-        const normalized = normalizeTriangles(rawTriangles, targetHeight);
-        setModelData({ rawTriangles, ...normalized });
-        setStatus("STL Loaded. Ready to slice.");
-        setSlices([]); // Clear old slices
-      } catch (err) {
-        setStatus("Error parsing STL. Please ensure it's a valid 3D model.");
-        console.error(err);
-      }
+      resetSliceJob();
+      setModelData(null);
+      const buffer = event.target.result;
+      sourceRef.current = { fileName: uploadedFile.name, buffer: buffer.slice(0) }; // The worker gets the original
+      setProject({ id: null, name: uploadedFile.name.replace(/\.[^.]+$/, '') });
+      const orientation = { axis: sliceAxis, rotation };
+      const request = scalingRequest(scaling, sheet, construction, kerf);
+      workerRef.current.postMessage({ type: 'load', buffer, fileName: uploadedFile.name, scaling: request, orientation }, [buffer]);
     };
     reader.readAsArrayBuffer(uploadedFile);
   };
 
-  // Re-normalize if target height changes
-  useEffect(() => {
-    if (modelData && modelData.rawTriangles) {
-      setModelData(prev => ({ ...prev, ...normalizeTriangles(prev.rawTriangles, targetHeight) }));
-      setSlices([]); // Clear old slices since the model scale changed
+  // --- Projects ---
+  // Every setting a project restores: [value, setter]. Objects are merged over the current
+  // value so projects saved before a setting existed still open.
+  const projectSettings = {
+    scaling: [scaling, setScaling],
+    sliceMode: [sliceMode, setSliceMode],
+    layerThickness: [layerThickness, setLayerThickness],
+    layerCount: [layerCount, setLayerCount],
+    construction: [construction, setConstruction],
+    ribsX: [ribsX, setRibsX],
+    ribsY: [ribsY, setRibsY],
+    dowelCount: [dowelCount, setDowelCount],
+    dowelDiameter: [dowelDiameter, setDowelDiameter],
+    sliceAxis: [sliceAxis, setSliceAxis],
+    rotation: [rotation, setRotation],
+    sheet: [sheet, setSheet],
+    cleanup: [cleanup, setCleanup],
+    tolerance: [tolerance, setTolerance],
+    kerf: [kerf, setKerf],
+    kerfJoin: [kerfJoin, setKerfJoin],
+    tabs: [tabs, setTabs],
+    engraveGuides: [engraveGuides, setEngraveGuides],
+    labelFormat: [labelFormat, setLabelFormat],
+    machine: [machine, setMachine]
+  };
+
+  const refreshProjects = () => {
+    listProjects().then(setRecentProjects, (err) => console.error(err));
+  };
+
+  useEffect(refreshProjects, []);
+
+  const currentProject = () => ({
+    id: project.id || createProjectId(),
+    name: project.name.trim() || sourceRef.current.fileName,
+    fileName: sourceRef.current.fileName,
+    settings: {
+      ...Object.fromEntries(Object.entries(projectSettings).map(([key, [value]]) => [key, value])),
+      material // Travels with the project so a teammate without it in their library gets it too
+    },
+    mesh: sourceRef.current.buffer
+  });
+
+  const saveCurrentProject = async () => {
+    if (!sourceRef.current) return;
+    try {
+      const saved = await saveProject(currentProject());
+      setProject({ id: saved.id, name: saved.name });
+      setStatus(`Saved project "${saved.name}".`);
+      refreshProjects();
+    } catch (err) {
+      console.error(err);
+      setStatus(`Could not save the project: ${err.message}`);
     }
-  }, [targetHeight]);
+  };
 
-  // Main Slicing Engine
-  const generateSlices = () => {
-    if (!modelData) return;
+  // Applies a project's settings and reloads its mesh, normalized with those settings
+  const openProject = ({ id = null, name, fileName, settings: stored, mesh }) => {
+    // Projects saved before scaling modes existed only stored the overall height
+    const settings = stored.scaling || stored.targetHeight === undefined
+      ? stored
+      : { ...stored, scaling: { ...DEFAULT_SCALING, size: stored.targetHeight } };
+    Object.entries(settings).forEach(([key, value]) => {
+      const entry = projectSettings[key];
+      if (!entry || value === undefined || value === null) return;
+      const [current, set] = entry;
+      set(typeof current === 'object' && !Array.isArray(current) ? { ...current, ...value } : value);
+    });
+    const saved = settings.material;
+    if (saved) {
+      setLibrary(prev => ({
+        materials: prev.materials.some(m => m.id === saved.id) ? prev.materials : [...prev.materials, saved],
+        selectedId: saved.id
+      }));
+    } else {
+      setLibrary(prev => ({ ...prev, selectedId: null }));
+    }
 
-    const actualThickness = sliceMode === 'thickness' ? layerThickness : targetHeight / layerCount;
-    const actualCount = sliceMode === 'count' ? layerCount : Math.floor(targetHeight / actualThickness);
+    // Until the worker answers, the old model is gone: nothing re-normalizes or slices it
+    resetSliceJob();
+    setModelData(null);
+    setProject({ id, name });
+    setFile(new File([mesh], fileName));
+    setStatus(`Opening ${name}...`);
+    sourceRef.current = { fileName, buffer: mesh };
+    const buffer = mesh.slice(0);
+    const orientation = { axis: settings.sliceAxis ?? sliceAxis, rotation: settings.rotation ?? rotation };
+    const request = scalingRequest(
+      { ...scaling, ...settings.scaling },
+      { ...sheet, ...settings.sheet },
+      settings.construction ?? construction,
+      settings.kerf ?? kerf
+    );
+    workerRef.current.postMessage({ type: 'load', buffer, fileName, scaling: request, orientation }, [buffer]);
+  };
 
-    setStatus("Slicing geometry...");
-    setProgress(0);
-    const newSlices = [];
-    let currentLayer = 0;
-    const zStart = actualThickness / 2;
-
-    const processLayer = () => {
-      if (currentLayer >= actualCount) {
-        setSlices(newSlices);
-        setStatus(`Sliced ${actualCount} layers successfully.`);
-        setProgress(100);
-        return;
-      }
+  const openStoredProject = async (id) => {
+    try {
+      openProject(await loadProject(id));
+    } catch (err) {
+      console.error(err);
+      setStatus(`Could not open the project: ${err.message}`);
+    }
+  };
 
-      const z = zStart + currentLayer * actualThickness;
-      const segments = [];
-      for (const tri of modelData.triangles) {
-        const seg = intersectTriangleZ(tri[0], tri[1], tri[2], z);
-        if (seg) segments.push(seg);
-      }
+  const removeProject = async (id) => {
+    try {
+      await deleteProject(id);
+      if (project.id === id) setProject(prev => ({ ...prev, id: null }));
+      refreshProjects();
+    } catch (err) {
+      console.error(err);
+    }
+  };
 
-      const paths = connectSegments(segments);
-      newSlices.push(paths);
+  const exportProject = () => {
+    if (!sourceRef.current) return;
+    const current = currentProject();
+    downloadFile(projectToFile(current), 'application/json', `${current.name}.cardboard.json`);
+  };
 
-      currentLayer++;
-      setProgress((currentLayer / actualCount) * 100);
+  const importProject = (e) => {
+    const projectFile = e.target.files[0];
+    e.target.value = ''; // Lets the same file be picked again
+    if (!projectFile) return;
+    projectFile.text().then(
+      text => openProject(projectFromFile(text)),
+      err => setStatus(`Could not read the project file: ${err.message}`)
+    ).catch(err => setStatus(`Could not import the project: ${err.message}`));
+  };
 
-      // Yield to main thread to keep UI responsive
-      setTimeout(processLayer, 0);
-    };
+  // Typed-in settings only reach the model fit and the contour post-processing once they settle
+  const settledCleanup = useSettledValue(cleanup);
+  const settledTolerance = useSettledValue(tolerance);
+  const settledKerf = useSettledValue(kerf);
+  const settledTabs = useSettledValue(tabs);
+  const settledLabelFormat = useSettledValue(labelFormat);
+
+  // Re-normalize if the scaling or orientation changes; the original view follows live.
+  // Fit-to-sheet also depends on the sheet, the kerf and on which sections the construction cuts.
+  const scalingKey = JSON.stringify(scalingRequest(scaling, sheet, construction, settledKerf));
+  useEffect(() => {
+    if (modelData) {
+      resetSliceJob(); // Clear old slices since the model scale or orientation changed
+      workerRef.current.postMessage({ type: 'normalize', scaling: JSON.parse(scalingKey), orientation: { axis: sliceAxis, rotation } });
+    }
+  }, [scalingKey, sliceAxis, rotation]);
+
+  const layFlat = () => {
+    setStatus("Finding the largest flat face...");
+    workerRef.current.postMessage({ type: 'layFlat' });
+  };
+
+  // Main Slicing Engine
+  const generateSlices = () => {
+    if (!modelData) return;
+
+    const actualThickness = sliceMode === 'thickness' ? layerThickness : modelData.height / layerCount;
+    const actualCount = sliceMode === 'count' ? layerCount : Math.floor(modelData.height / actualThickness);
+
+    resetSliceJob();
+    setIsSlicing(true);
+    setStatus(construction === 'waffle' ? "Slicing waffle ribs..." : "Slicing geometry...");
+    workerRef.current.postMessage({
+      type: 'slice',
+      jobId: sliceJobRef.current.id,
+      construction,
+      thickness: construction === 'waffle' ? layerThickness : actualThickness,
+      count: actualCount,
+      ribsX,
+      ribsY,
+      dowels: { count: dowelCount, diameter: dowelDiameter }
+    });
+  };
 
-    processLayer();
+  const cancelSlices = () => {
+    workerRef.current.postMessage({ type: 'cancel', jobId: sliceJobRef.current.id });
   };
 
   // Initialize and Synchronize Three.js Scenes
@@ -303,106 +518,54 @@ export default function App() {
     updateSize();
     window.addEventListener('resize', updateSize);
 
-    // Custom Orbit Controls (Synchronized)
-    let isInteracting = false;
-    let prevMouse = { x: 0, y: 0 };
-    let theta = Math.PI / 4, phi = Math.PI / 3, radius = 300;
-    let target = new THREE.Vector3(0, 50, 0);
-
-    const updateCameras = () => {
-      const x = radius * Math.sin(phi) * Math.cos(theta) + target.x;
-      const y = radius * Math.cos(phi) + target.y;
-      const z = radius * Math.sin(phi) * Math.sin(theta) + target.z;
-
-      camera1.position.set(x, y, z);
+    // One set of orbit controls drives both cameras so the views stay in sync
+    const updateCameras = (position, target) => {
+      camera1.position.copy(position);
       camera1.lookAt(target);
-      camera2.position.set(x, y, z);
+      camera2.position.copy(position);
       camera2.lookAt(target);
 
       renderer1.render(scene1, camera1);
       renderer2.render(scene2, camera2);
     };
 
-    const handleMouseDown = (e) => { isInteracting = true; prevMouse = { x: e.clientX, y: e.clientY }; };
-    const handleMouseUp = () => { isInteracting = false; };
-    const handleMouseMove = (e) => {
-      if (!isInteracting) return;
-
-      const deltaX = e.clientX - prevMouse.x;
-      const deltaY = e.clientY - prevMouse.y;
-
-      if (e.buttons === 1 && !e.shiftKey) {
-        // Left click (without Shift): Rotate
-        theta -= deltaX * 0.01;
-        phi -= deltaY * 0.01;
-        phi = Math.max(0.01, Math.min(Math.PI - 0.01, phi));
-      } else if (e.buttons === 2 || e.buttons === 4 || (e.buttons === 1 && e.shiftKey)) {
-        // Right/Middle click or Shift+Left: Pan
-        // Scale pan speed based on current zoom radius so it feels consistent
-        const panSpeed = radius * 0.002;
-
-        // Get the camera's local X and Y axes to know which way is "right" and "up" in the current view
-        const vRight = new THREE.Vector3().setFromMatrixColumn(camera1.matrix, 0);
-        const vUp = new THREE.Vector3().setFromMatrixColumn(camera1.matrix, 1);
-
-        vRight.multiplyScalar(-deltaX * panSpeed);
-        vUp.multiplyScalar(deltaY * panSpeed);
-
-        target.add(vRight);
-        target.add(vUp);
-      }
-
-      prevMouse = { x: e.clientX, y: e.clientY };
-      updateCameras();
-    };
-    const handleWheel = (e) => {
-      e.preventDefault();
-      radius += e.deltaY * 0.2;
-      radius = Math.max(10, radius);
-      updateCameras();
+    // Double tap / F fits whatever is loaded: the model, its slices, or both
+    const getFrameBox = () => {
+      const box = new THREE.Box3();
+      [scene1.getObjectByName('originalMesh'), scene2.getObjectByName('slicedGroup')].forEach(obj => {
+        if (obj) box.expandByObject(obj);
+      });
+      return box;
     };
-    const handleContextMenu = (e) => e.preventDefault();
-
-    const container = threeContainerRef.current;
-    if (container) {
-      container.addEventListener('mousedown', handleMouseDown);
-      container.addEventListener('contextmenu', handleContextMenu);
-      window.addEventListener('mouseup', handleMouseUp);
-      window.addEventListener('mousemove', handleMouseMove);
-      container.addEventListener('wheel', handleWheel, { passive: false });
-    }
 
-    updateCameras();
+    const controls = createOrbitControls(threeContainerRef.current, { onChange: updateCameras, getFrameBox, camera: camera1 });
 
     return () => {
       window.removeEventListener('resize', updateSize);
-      if (container) {
-        container.removeEventListener('mousedown', handleMouseDown);
-        container.removeEventListener('contextmenu', handleContextMenu);
-        window.removeEventListener('mouseup', handleMouseUp);
-        window.removeEventListener('mousemove', handleMouseMove);
-        container.removeEventListener('wheel', handleWheel);
-      }
+      controls.dispose();
     };
   }, []);
 
   // Render Original 3D Model
   useEffect(() => {
     const { scene1, renderer1, camera1 } = scenesRef.current;
-    if (!scene1 || !modelData) return;
+    if (!scene1) return;
 
-    // Clear old mesh
+    // Clear old mesh, also while the next model is still loading
     const oldMesh = scene1.getObjectByName('originalMesh');
-    if (oldMesh) scene1.remove(oldMesh);
+    if (oldMesh) {
+      scene1.remove(oldMesh);
+      oldMesh.geometry.dispose();
+      oldMesh.material.dispose();
+    }
+    if (!modelData) {
+      renderer1.render(scene1, camera1);
+      return;
+    }
 
     // Build BufferGeometry
     const geometry = new THREE.BufferGeometry();
-    const positions = new Float32Array(modelData.triangles.length * 9);
-    let i = 0;
-    modelData.triangles.forEach(tri => {
-      tri.forEach(v => { positions[i++] = v.x; positions[i++] = v.y; positions[i++] = v.z; });
-    });
-    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('position', new THREE.BufferAttribute(modelData.positions, 3));
     geometry.computeVertexNormals();
 
     const material = new THREE.MeshStandardMaterial({ color: 0xe0e0e0, roughness: 0.4, metalness: 0.1, side: THREE.DoubleSide });
@@ -414,63 +577,192 @@ export default function App() {
     renderer1.render(scene1, camera1);
   }, [modelData]);
 
+  // Cleaned, simplified contours feed both the cardboard preview and every export
+  const cleaned = useMemo(() => cleanupParts(slices, settledCleanup), [slices, settledCleanup]);
+  const simplifiedParts = useMemo(() => simplifyParts(cleaned.parts, settledTolerance), [cleaned, settledTolerance]);
+  const nodeCounts = useMemo(
+    () => ({ before: countNodes(slices), after: countNodes(simplifiedParts) }),
+    [slices, simplifiedParts]
+  );
+  // Dowel holes go in last, so cleanup never mistakes one for a scrap
+  const drilledParts = useMemo(() => drillDowels(simplifiedParts, dowels), [simplifiedParts, dowels]);
+
+  // Cardboard preview materials, made once and recoloured for the stock on each rebuild
+  const previewMaterials = useMemo(() => ({
+    surface: new THREE.MeshStandardMaterial({ roughness: 0.8 }),
+    edge: new THREE.LineBasicMaterial(),
+    fallback: new THREE.LineBasicMaterial({ color: 0xff0000 }),
+    dowel: new THREE.MeshStandardMaterial({ color: 0xf5deb3, roughness: 0.6 })
+  }), []);
+  useEffect(() => () => Object.values(previewMaterials).forEach(mat => mat.dispose()), [previewMaterials]);
+
   // Render Blocky Sliced 3D Model
   useEffect(() => {
     const { scene2, renderer2, camera2 } = scenesRef.current;
     if (!scene2) return;
 
+    // Clear the old preview; its materials are shared, only the geometry goes
     const oldGroup = scene2.getObjectByName('slicedGroup');
-    if (oldGroup) scene2.remove(oldGroup);
+    if (oldGroup) {
+      scene2.remove(oldGroup);
+      oldGroup.traverse(obj => obj.geometry?.dispose());
+    }
 
-    if (slices.length === 0) {
+    if (drilledParts.length === 0) {
       renderer2.render(scene2, camera2);
       return;
     }
 
     const group = new THREE.Group();
     group.name = 'slicedGroup';
-    const actualThickness = sliceMode === 'thickness' ? layerThickness : targetHeight / layerCount;
-
-    // Extrude Settings
-    const extrudeSettings = { depth: actualThickness * 0.95, bevelEnabled: false };
-    const material = new THREE.MeshStandardMaterial({ color: 0xcd853f, roughness: 0.8 }); // Cardboard color
-    const edgeMat = new THREE.LineBasicMaterial({ color: 0x5c3a21 });
+    const actualThickness = construction === 'waffle' || sliceMode === 'thickness' ? layerThickness : (modelData?.height ?? 0) / layerCount;
+
+    // Extrude Settings: stacked layers get a small gap so the seams read, ribs are full thickness
+    const layerExtrude = { depth: actualThickness * 0.95, bevelEnabled: false };
+    const ribExtrude = { depth: actualThickness, bevelEnabled: false };
+    const { surface: surfaceMat, edge: edgeMat, fallback: fallbackMat, dowel: dowelMat } = previewMaterials;
+    const stockColor = new THREE.Color(material?.color || '#cd853f'); // Cardboard unless a material says otherwise
+    surfaceMat.color.copy(stockColor);
+    edgeMat.color.copy(stockColor).multiplyScalar(0.45);
+
+    const tracePath = (target, path) => {
+      target.moveTo(path[0].x, path[0].y);
+      for(let i=1; i<path.length; i++) {
+        target.lineTo(path[i].x, path[i].y);
+      }
+      return target;
+    };
 
-    slices.forEach((layerPaths, idx) => {
-      const zOffset = idx * actualThickness;
-      layerPaths.forEach(path => {
-        if (path.length < 3) return;
+    drilledParts.forEach((part, index) => {
+      const partGroup = new THREE.Group();
+      partGroup.name = 'part';
+      partGroup.userData.part = index; // For the layer scrubber
+      partGroup.matrixAutoUpdate = false;
+      partGroup.matrix.copy(partMatrix(part, -actualThickness / 2));
+      part.shapes.forEach(({ outer, holes }) => {
         try {
-          const shape = new THREE.Shape();
-          shape.moveTo(path[0].x, path[0].y);
-          for(let i=1; i<path.length; i++) {
-            shape.lineTo(path[i].x, path[i].y);
-          }
+          const shape = tracePath(new THREE.Shape(), outer);
+          shape.holes = holes.map(hole => tracePath(new THREE.Path(), hole));
 
-          const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
-          const mesh = new THREE.Mesh(geometry, material);
-          mesh.position.z = zOffset;
-          group.add(mesh);
-
-          const edges = new THREE.EdgesGeometry(geometry);
-          const line = new THREE.LineSegments(edges, edgeMat);
-          line.position.z = zOffset;
-          group.add(line);
+          const geometry = new THREE.ExtrudeGeometry(shape, part.kind === 'rib' ? ribExtrude : layerExtrude);
+          partGroup.add(new THREE.Mesh(geometry, surfaceMat));
+          partGroup.add(new THREE.LineSegments(new THREE.EdgesGeometry(geometry), edgeMat));
         } catch (e) {
           // Fallback if ThreeJS Earcut fails on complex path self-intersections
-          const points = path.map(p => new THREE.Vector3(p.x, p.y, zOffset));
-          const geo = new THREE.BufferGeometry().setFromPoints(points);
-          const line = new THREE.Line(geo, new THREE.LineBasicMaterial({ color: 0xff0000 }));
-          group.add(line);
+          [outer, ...holes].forEach(path => {
+            const points = path.map(p => new THREE.Vector3(p.x, p.y, 0));
+            const geo = new THREE.BufferGeometry().setFromPoints(points);
+            const line = new THREE.Line(geo, fallbackMat);
+            partGroup.add(line);
+          });
         }
       });
+      group.add(partGroup);
+    });
+
+    // Dowels run from the bottom of their first layer to the top of their last
+    dowels.forEach(({ x, y, diameter, from, to }) => {
+      const z0 = drilledParts[from].position - actualThickness / 2;
+      const z1 = drilledParts[to].position + actualThickness / 2;
+      const rod = new THREE.Mesh(new THREE.CylinderGeometry(diameter / 2, diameter / 2, z1 - z0, 16), dowelMat);
+      rod.rotation.x = Math.PI / 2; // Cylinders are built along Y
+      rod.position.set(x, y, (z0 + z1) / 2);
+      group.add(rod);
     });
 
     group.rotation.x = -Math.PI / 2; // Make Z point UP
     scene2.add(group);
     renderer2.render(scene2, camera2);
 
-  }, [slices, sliceMode, layerThickness, layerCount, targetHeight]);
+  }, [drilledParts, dowels, construction, sliceMode, layerThickness, layerCount, modelData, material?.color, previewMaterials]);
+
+  // Layer Scrubber materials, made once and recoloured for the stock rather than per scrub
+  const scrubMaterials = useMemo(() => ({
+    highlight: new THREE.MeshStandardMaterial({ roughness: 0.8, emissive: 0xf97316, emissiveIntensity: 0.45 }),
+    ghost: new THREE.MeshStandardMaterial({ roughness: 0.8, transparent: true, opacity: 0.12, depthWrite: false }),
+    ghostEdge: new THREE.LineBasicMaterial({ transparent: true, opacity: 0.2 }),
+    // The cross-section is drawn over the model (no depth test) so it shows through its surface
+    sectionFill: new THREE.MeshBasicMaterial({ color: 0xf97316, transparent: true, opacity: 0.35, side: THREE.DoubleSide, depthTest: false }),
+    sectionLine: new THREE.LineBasicMaterial({ color: 0xf97316, depthTest: false })
+  }), []);
+
+  useEffect(() => () => Object.values(scrubMaterials).forEach(mat => mat.dispose()), [scrubMaterials]);
+
+  // Layer Scrubber: highlight the selected part in the cardboard preview, ghost everything
+  // else, and overlay its cross-section on the original model. Runs after every rebuild.
+  useEffect(() => {
+    const { scene1, scene2, renderer1, renderer2, camera1, camera2 } = scenesRef.current;
+    if (!scene1 || !scene2) return;
+    const { highlight, ghost, ghostEdge, sectionFill, sectionLine } = scrubMaterials;
+
+    const group = scene2.getObjectByName('slicedGroup');
+    if (group) {
+      const stockColor = new THREE.Color(material?.color || '#cd853f');
+      [highlight, ghost, ghostEdge].forEach(mat => mat.color.copy(stockColor));
+      group.children.forEach(child => {
+        const state = selectedPart === null ? 'normal' : child.userData.part === selectedPart ? 'selected' : 'ghost';
+        child.traverse(obj => {
+          if (!obj.material) return;
+          obj.userData.baseMaterial ??= obj.material;
+          if (state === 'normal') obj.material = obj.userData.baseMaterial;
+          else if (state === 'selected') obj.material = obj.isMesh ? highlight : obj.userData.baseMaterial;
+          else obj.material = obj.isMesh ? ghost : ghostEdge;
+        });
+      });
+      renderer2.render(scene2, camera2);
+    }
+
+    const part = selectedPart === null ? null : drilledParts[selectedPart];
+    if (!part) {
+      renderer1.render(scene1, camera1);
+      return;
+    }
+    const section = new THREE.Group();
+    section.matrixAutoUpdate = false;
+    section.matrix.copy(partMatrix(part, 0));
+    part.shapes.forEach(({ outer, holes }) => {
+      const shape = new THREE.Shape(outer.map(p => new THREE.Vector2(p.x, p.y)));
+      shape.holes = holes.map(hole => new THREE.Path(hole.map(p => new THREE.Vector2(p.x, p.y))));
+      section.add(new THREE.Mesh(new THREE.ShapeGeometry(shape), sectionFill));
+      [outer, ...holes].forEach(path => {
+        const geo = new THREE.BufferGeometry().setFromPoints(path.map(p => new THREE.Vector3(p.x, p.y, 0)));
+        section.add(new THREE.LineLoop(geo, sectionLine));
+      });
+    });
+    section.traverse(obj => { obj.renderOrder = 1; });
+
+    const wrapper = new THREE.Group();
+    wrapper.rotation.x = -Math.PI / 2; // Make Z point UP, like the model
+    wrapper.add(section);
+    scene1.add(wrapper);
+    renderer1.render(scene1, camera1);
+
+    return () => {
+      scene1.remove(wrapper);
+      section.children.forEach(obj => obj.geometry.dispose());
+    };
+  }, [selectedPart, drilledParts, dowels, construction, sliceMode, layerThickness, layerCount, modelData, material?.color, scrubMaterials]);
+
+  // Beam-centre geometry shared by the blueprint and every exporter
+  const markedParts = useMemo(
+    () => applyLabels(engraveGuides ? applyPlacementGuides(drilledParts) : drilledParts, settledLabelFormat),
+    [drilledParts, engraveGuides, settledLabelFormat]
+  );
+  const cutParts = useMemo(
+    () => applyTabs(applyKerf(markedParts, settledKerf, kerfJoin), settledTabs),
+    [markedParts, settledKerf, kerfJoin, settledTabs]
+  );
+
+  // Re-nest whenever the cut outlines or the sheet settings change. The worker packs what is
+  // actually cut (cleanup bridges, kerf and all), so parts cleanup emptied take no space.
+  useEffect(() => {
+    nestIdRef.current++;
+    setLayout(null);
+    if (cutParts.length === 0) return;
+    const parts = cutParts.map(part => packShapes(part.shapes));
+    const buffers = parts.flatMap(({ coords, offsets, shapeStarts }) => [coords.buffer, offsets.buffer, shapeStarts.buffer]);
+    workerRef.current.postMessage({ type: 'nest', nestId: nestIdRef.current, sheet, parts }, buffers);
+  }, [cutParts, sheet]);
 
   // Render 2D Blueprint Canvas
   useEffect(() => {
@@ -489,105 +781,186 @@ export default function App() {
       return;
     }
 
-    const padding = 20; // mm padding between cuts
-    const boxW = modelData.width + padding;
-    const boxH = modelData.length + padding;
-
-    // Calculate layout grid
-    const cols = Math.ceil(Math.sqrt(slices.length));
-    const rows = Math.ceil(slices.length / cols);
+    if (!layout) return; // Nesting result still on its way from the worker
 
-    const pixelsPerMm = 4; // Scale for the HTML Canvas viewing
-    canvas.width = cols * boxW * pixelsPerMm;
-    canvas.height = rows * boxH * pixelsPerMm;
+    const grid = blueprintGrid(layout);
+    canvas.width = grid.cols * grid.cellW * BLUEPRINT_SCALE;
+    canvas.height = grid.rows * grid.cellH * BLUEPRINT_SCALE;
 
     ctx.clearRect(0, 0, canvas.width, canvas.height);
-    ctx.fillStyle = '#ffffff';
+    ctx.fillStyle = '#e5e5e5';
     ctx.fillRect(0, 0, canvas.width, canvas.height);
 
-    ctx.scale(pixelsPerMm, pixelsPerMm);
-    ctx.lineWidth = 0.5;
-    ctx.strokeStyle = '#000000'; // Laser cut path color
-
-    slices.forEach((layerPaths, idx) => {
-      const col = idx % cols;
-      const row = Math.floor(idx / cols);
-      const offsetX = col * boxW + (boxW / 2); // Center in grid cell
-      const offsetY = row * boxH + (boxH / 2);
+    ctx.scale(BLUEPRINT_SCALE, BLUEPRINT_SCALE);
 
+    layout.sheets.forEach((sheet, sheetIdx) => {
       ctx.save();
-      ctx.translate(offsetX, offsetY);
-
-      // Draw Paths
-      ctx.beginPath();
-      layerPaths.forEach(path => {
-        if(path.length === 0) return;
-        ctx.moveTo(path[0].x, -path[0].y); // Canvas Y is flipped compared to standard Cartesian
-        for(let i=1; i<path.length; i++) {
-          ctx.lineTo(path[i].x, -path[i].y);
+      const origin = grid.origin(sheetIdx);
+      ctx.translate(origin.x, origin.y);
+
+      // Sheet stock
+      ctx.fillStyle = sheet.oversize ? '#fee2e2' : '#ffffff';
+      ctx.fillRect(0, 0, sheet.width, sheet.height);
+      ctx.lineWidth = 0.5;
+      ctx.strokeStyle = '#a3a3a3';
+      ctx.strokeRect(0, 0, sheet.width, sheet.height);
+      ctx.fillStyle = '#737373';
+      ctx.font = '6px sans-serif';
+      ctx.textAlign = 'left';
+      ctx.fillText(`Sheet ${sheetIdx + 1}${sheet.oversize ? ' (part larger than sheet)' : ''}`, 0, -3);
+
+      sheet.placements.forEach(placement => {
+        const part = cutParts[placement.part];
+
+        // Layer picked with the scrubber
+        if (placement.part === selectedPart) {
+          ctx.beginPath();
+          placedPaths(part, placement).forEach(({ path }) => {
+            ctx.moveTo(path[0].x, path[0].y);
+            for(let i=1; i<path.length; i++) {
+              ctx.lineTo(path[i].x, path[i].y);
+            }
+            ctx.closePath();
+          });
+          ctx.fillStyle = 'rgba(249, 115, 22, 0.3)';
+          ctx.fill('evenodd');
         }
-        ctx.closePath();
-      });
-      ctx.stroke();
 
-      // Draw Label
-      ctx.fillStyle = '#ef4444'; // Red label for etching/info
-      ctx.font = '4px sans-serif';
-      ctx.textAlign = 'center';
-      ctx.fillText(`Layer ${idx + 1}`, 0, (boxH/2) - 5);
+        // Engrave Paths
+        ctx.beginPath();
+        placedEngraving(part, placement).forEach(path => {
+          if(path.length < 2) return;
+          ctx.moveTo(path[0].x, path[0].y);
+          for(let i=1; i<path.length; i++) {
+            ctx.lineTo(path[i].x, path[i].y);
+          }
+        });
+        ctx.lineWidth = 0.3;
+        ctx.strokeStyle = SVG_COLORS.engrave;
+        ctx.stroke();
+
+        // Cut Paths (tabbed outers are drawn as their runs, leaving the tabs as gaps)
+        ctx.beginPath();
+        placedPaths(part, placement).forEach(({ path, runs }) => {
+          (runs || [path]).forEach(run => {
+            if(run.length === 0) return;
+            ctx.moveTo(run[0].x, run[0].y);
+            for(let i=1; i<run.length; i++) {
+              ctx.lineTo(run[i].x, run[i].y);
+            }
+            if(!runs) ctx.closePath();
+          });
+        });
+        ctx.lineWidth = 0.5;
+        ctx.strokeStyle = SVG_COLORS.cut;
+        ctx.stroke();
+      });
 
       ctx.restore();
     });
-  }, [slices, modelData]);
+  }, [slices, cutParts, modelData, layout, selectedPart]);
+
+  // Bring the selected layer's part into view on the blueprint
+  useEffect(() => {
+    const container = blueprintScrollRef.current, canvas = blueprintCanvasRef.current;
+    if (selectedPart === null || !layout || !container || !canvas) return;
+    const sheetIdx = layout.sheets.findIndex(sh => sh.placements.some(p => p.part === selectedPart));
+    if (sheetIdx < 0) return;
+    const placement = layout.sheets[sheetIdx].placements.find(p => p.part === selectedPart);
+    const bounds = pathBounds(placedPaths(cutParts[selectedPart], placement).flatMap(({ path }) => path));
+    const origin = blueprintGrid(layout).origin(sheetIdx);
+
+    // Canvas pixel to the container's scroll coordinates
+    const canvasRect = canvas.getBoundingClientRect(), boxRect = container.getBoundingClientRect();
+    const x = canvasRect.left - boxRect.left + container.scrollLeft + (origin.x + (bounds.minX + bounds.maxX) / 2) * BLUEPRINT_SCALE;
+    const y = canvasRect.top - boxRect.top + container.scrollTop + (origin.y + (bounds.minY + bounds.maxY) / 2) * BLUEPRINT_SCALE;
+    container.scrollTo({ left: x - container.clientWidth / 2, top: y - container.clientHeight / 2, behavior: 'smooth' });
+  }, [selectedPart, layout, cutParts]);
+
+  // Clicking a part on the blueprint selects its layer; clicking bare sheet clears the selection
+  const pickBlueprintPart = (e) => {
+    if (!layout) return;
+    const canvas = e.currentTarget;
+    const rect = canvas.getBoundingClientRect();
+    const mm = {
+      x: ((e.clientX - rect.left) * (canvas.width / rect.width)) / BLUEPRINT_SCALE,
+      y: ((e.clientY - rect.top) * (canvas.height / rect.height)) / BLUEPRINT_SCALE
+    };
+    const grid = blueprintGrid(layout);
+    const col = Math.floor(mm.x / grid.cellW), row = Math.floor(mm.y / grid.cellH);
+    const sheetIdx = row * grid.cols + col;
+    if (col >= grid.cols || !layout.sheets[sheetIdx]) return;
+    const origin = grid.origin(sheetIdx);
+    const p = { x: mm.x - origin.x, y: mm.y - origin.y };
+
+    // Even-odd over all of a part's contours, so clicks in its holes fall through
+    const hit = layout.sheets[sheetIdx].placements.find(placement => (
+      placedPaths(cutParts[placement.part], placement).filter(({ path }) => pointInPolygon(p, path)).length % 2 === 1
+    ));
+    setSelectedPart(hit ? hit.part : null);
+  };
+
+  // Job Summary: lengths, pierces and time for everything that will be exported
+  const summary = useMemo(
+    () => (layout ? summarizeJob(layout, cutParts, machine, material ? material.cost : null) : null),
+    [layout, cutParts, machine, material]
+  );
+
+  const printJobSheet = () => {
+    if (!summary) return;
+    const win = window.open('', '_blank');
+    if (!win) {
+      setStatus("Allow pop-ups to print the job sheet.");
+      return;
+    }
+    win.document.write(jobSheetHTML({
+      title: `Job sheet - ${file?.name || 'model'}`,
+      summary,
+      machine,
+      material,
+      svgs: layout.sheets.map(sheet => sheetToSVG(sheet, cutParts, machine.origin))
+    }));
+    win.document.close();
+    win.focus();
+    win.print();
+  };
+
+  // G-code: one plan per sheet, shared by the download and the toolpath player
+  const gcodePlans = useMemo(
+    () => (layout && showToolpath ? layout.sheets.map(sheet => planSheet(sheet, cutParts, machine)) : null),
+    [layout, cutParts, machine, showToolpath]
+  );
+  const oversizeForBed = layout ? layout.sheets.filter(sheet => !sheetFitsBed(sheet, machine)).length : 0;
+
+  const downloadGCode = () => {
+    if (slices.length === 0 || !layout) return;
+    layout.sheets.forEach((sheet, sheetIdx) => {
+      const suffix = layout.sheets.length > 1 ? `_sheet${sheetIdx + 1}` : '';
+      const title = `${file?.name || 'model'} sheet ${sheetIdx + 1} of ${layout.sheets.length}`;
+      const gcode = planToGCode(planSheet(sheet, cutParts, machine), machine, title);
+      downloadFile(gcode, 'text/plain', `laser_slices_${file?.name || 'model'}${suffix}.gcode`);
+    });
+  };
 
   // Export SVG Feature
   const downloadSVG = () => {
-    if (slices.length === 0 || !modelData) return;
-
-    const padding = 10;
-    const boxW = modelData.width + padding;
-    const boxH = modelData.length + padding;
-    const cols = Math.ceil(Math.sqrt(slices.length));
-    const rows = Math.ceil(slices.length / cols);
-
-    const totalW = cols * boxW;
-    const totalH = rows * boxH;
-
-    let svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${totalW} ${totalH}" width="${totalW}mm" height="${totalH}mm">\n`;
-    svg += `<style>path { fill: none; stroke: black; stroke-width: 0.1px; } text { font-family: sans-serif; font-size: 5px; fill: red; }</style>\n`;
-
-    slices.forEach((layerPaths, idx) => {
-      const col = idx % cols;
-      const row = Math.floor(idx / cols);
-      const offsetX = col * boxW + (boxW / 2);
-      const offsetY = row * boxH + (boxH / 2);
-
-      svg += `<g transform="translate(${offsetX}, ${offsetY})">\n`;
-      svg += `<text x="0" y="${(boxH/2) - 2}" text-anchor="middle">Layer ${idx + 1}</text>\n`;
-
-      layerPaths.forEach(path => {
-        if(path.length === 0) return;
-        let d = `M ${path[0].x} ${-path[0].y} `; // Flip Y for SVG coords
-        for(let i=1; i<path.length; i++) {
-          d += `L ${path[i].x} ${-path[i].y} `;
-        }
-        d += "Z";
-        svg += `<path d="${d}" />\n`;
-      });
-      svg += `</g>\n`;
+    if (slices.length === 0 || !modelData || !layout) return;
+
+    // One file per sheet, each sized to its stock
+    layout.sheets.forEach((sheet, sheetIdx) => {
+      const suffix = layout.sheets.length > 1 ? `_sheet${sheetIdx + 1}` : '';
+      downloadFile(sheetToSVG(sheet, cutParts, machine.origin), 'image/svg+xml', `laser_slices_${file?.name || 'model'}${suffix}.svg`);
     });
+  };
+
+  // Export DXF Feature
+  const downloadDXF = () => {
+    if (slices.length === 0 || !modelData || !layout) return;
 
-    svg += `</svg>`;
-
-    const blob = new Blob([svg], { type: 'image/svg+xml' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `laser_slices_${file?.name || 'model'}.svg`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    layout.sheets.forEach((sheet, sheetIdx) => {
+      const suffix = layout.sheets.length > 1 ? `_sheet${sheetIdx + 1}` : '';
+      downloadFile(sheetToDXF(sheet, cutParts, machine.origin), 'application/dxf', `laser_slices_${file?.name || 'model'}${suffix}.dxf`);
+    });
   };
 
   return (
@@ -615,14 +988,70 @@ export default function App() {
             <label className="flex flex-col items-center justify-center w-full h-32 border-2 border-neutral-700 border-dashed rounded-lg cursor-pointer hover:bg-neutral-800 transition-colors">
               <div className="flex flex-col items-center justify-center pt-5 pb-6">
                 <Upload className="w-8 h-8 mb-2 text-neutral-400" />
-                <p className="mb-1 text-sm font-semibold">Click to upload STL</p>
-                <p className="text-xs text-neutral-500">Binary or ASCII Supported</p>
+                <p className="mb-1 text-sm font-semibold">Click to upload a 3D model</p>
+                <p className="text-xs text-neutral-500">STL (Binary/ASCII), OBJ or 3MF</p>
               </div>
-              <input type="file" accept=".stl" className="hidden" onChange={handleFileUpload} />
+              <input type="file" accept=".stl,.obj,.3mf" className="hidden" onChange={handleFileUpload} />
             </label>
             {file && <div className="mt-2 text-sm text-orange-400 truncate">Loaded: {file.name}</div>}
           </div>
 
+          {/* Project */}
+          <div className="mb-8 space-y-3">
+            <label className="flex items-center text-sm font-medium text-neutral-300">
+              <FolderOpen className="w-4 h-4 mr-2 text-neutral-500"/> Project
+            </label>
+            <div className="flex space-x-2">
+              <input
+                type="text" placeholder="Project name"
+                value={project.name}
+                onChange={(e) => setProject(prev => ({ ...prev, name: e.target.value }))}
+                className="flex-1 min-w-0 bg-neutral-950 border border-neutral-800 rounded-md py-1.5 px-2 text-sm focus:outline-none focus:border-orange-500"
+              />
+              <button
+                onClick={saveCurrentProject}
+                disabled={!modelData}
+                className="px-2 bg-neutral-950 border border-neutral-800 hover:border-orange-500 disabled:text-neutral-600 disabled:hover:border-neutral-800 rounded-md transition-colors"
+                title={project.id ? 'Save changes' : 'Save project'}
+              ><Save className="w-4 h-4" /></button>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              <button
+                onClick={exportProject}
+                disabled={!modelData}
+                className="py-1.5 text-xs bg-neutral-950 border border-neutral-800 hover:border-orange-500 disabled:text-neutral-600 disabled:hover:border-neutral-800 rounded-md transition-colors flex items-center justify-center"
+              ><Download className="w-3 h-3 mr-1" /> Export file</button>
+              <label className="py-1.5 text-xs bg-neutral-950 border border-neutral-800 hover:border-orange-500 rounded-md transition-colors flex items-center justify-center cursor-pointer">
+                <Upload className="w-3 h-3 mr-1" /> Import file
+                <input type="file" accept=".json,application/json" className="hidden" onChange={importProject} />
+              </label>
+            </div>
+            {recentProjects.length > 0 && (
+              <details className="text-xs text-neutral-400" open={!modelData}>
+                <summary className="cursor-pointer hover:text-white">Recent projects ({recentProjects.length})</summary>
+                <ul className="mt-2 space-y-1">
+                  {recentProjects.map(p => (
+                    <li key={p.id} className={`flex items-center rounded-md border ${p.id === project.id ? 'border-orange-500/50' : 'border-neutral-800'} bg-neutral-950`}>
+                      <button
+                        onClick={() => openStoredProject(p.id)}
+                        className="flex-1 min-w-0 text-left px-2 py-1.5 hover:text-white"
+                        title={`Open ${p.fileName}`}
+                      >
+                        <div className="truncate text-neutral-200">{p.name}</div>
+                        <div className="text-neutral-500">{new Date(p.updatedAt).toLocaleString()}</div>
+                      </button>
+                      <button
+                        onClick={() => removeProject(p.id)}
+                        className="px-2 text-neutral-500 hover:text-red-400"
+                        title="Delete project"
+                      ><Trash2 className="w-3 h-3" /></button>
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            )}
+          </div>
+
           {/* Model Dimensions Info */}
           {modelData && (
             <div className="mb-8 p-4 bg-neutral-950 rounded-lg border border-neutral-800">
@@ -635,81 +1064,618 @@ export default function App() {
             </div>
           )}
 
+          {/* Orientation */}
+          {modelData && (
+            <div className="mb-8 space-y-3">
+              <label className="flex items-center text-sm font-medium text-neutral-300">
+                <Axis3d className="w-4 h-4 mr-2 text-neutral-500"/> Slicing Axis
+              </label>
+              <div className="flex bg-neutral-950 rounded-md p-1 border border-neutral-800">
+                {['x', 'y', 'z'].map(axis => (
+                  <button
+                    key={axis}
+                    className={`flex-1 text-sm py-1.5 rounded-sm transition-colors ${sliceAxis === axis ? 'bg-neutral-800 shadow text-white' : 'text-neutral-500 hover:text-white'}`}
+                    onClick={() => setSliceAxis(axis)}
+                  >{axis.toUpperCase()}</button>
+                ))}
+              </div>
+              <div className="grid grid-cols-3 gap-2">
+                {['x', 'y', 'z'].map(axis => (
+                  <div key={axis}>
+                    <div className="text-xs text-neutral-400 mb-1">Rotate {axis.toUpperCase()} (°)</div>
+                    <input
+                      type="number" step="15"
+                      value={rotation[axis]}
+                      onChange={(e) => setRotation(prev => ({ ...prev, [axis]: Number(e.target.value) }))}
+                      className="w-full bg-neutral-950 border border-neutral-800 rounded-md py-1.5 px-2 text-sm focus:outline-none focus:border-orange-500"
+                    />
+                  </div>
+                ))}
+              </div>
+              <div className="flex space-x-2">
+                <button
+                  onClick={layFlat}
+                  className="flex-1 py-1.5 text-sm bg-neutral-950 border border-neutral-800 hover:border-orange-500 rounded-md transition-colors"
+                >Auto Lay Flat</button>
+                <button
+                  onClick={() => { setSliceAxis(DEFAULT_ORIENTATION.axis); setRotation(DEFAULT_ORIENTATION.rotation); }}
+                  className="px-3 py-1.5 text-sm bg-neutral-950 border border-neutral-800 hover:border-orange-500 rounded-md transition-colors flex items-center"
+                  title="Reset orientation"
+                ><RotateCcw className="w-4 h-4" /></button>
+              </div>
+            </div>
+          )}
+
           {/* Slicing Parameters */}
           <div className="space-y-6 flex-1">
             <div>
               <label className="flex items-center text-sm font-medium mb-2 text-neutral-300">
-                <Ruler className="w-4 h-4 mr-2 text-neutral-500"/> Overall Height (mm)
+                <Package className="w-4 h-4 mr-2 text-neutral-500"/> Material
               </label>
-              <input
-                type="number"
-                value={targetHeight}
-                onChange={(e) => setTargetHeight(Number(e.target.value))}
-                className="w-full bg-neutral-950 border border-neutral-800 rounded-md py-2 px-3 focus:outline-none focus:border-orange-500 transition-colors"
-              />
+              <div className="flex space-x-2">
+                <select
+                  value={library.selectedId || ''}
+                  onChange={(e) => selectMaterial(e.target.value)}
+                  className="flex-1 min-w-0 bg-neutral-950 border border-neutral-800 rounded-md py-2 px-2 text-sm focus:outline-none focus:border-orange-500"
+                >
+                  <option value="">Custom settings</option>
+                  {library.materials.map(m => <option key={m.id} value={m.id}>{m.name} ({m.thickness}mm)</option>)}
+                </select>
+                {material && (
+                  <button
+                    onClick={() => deleteMaterial(material.id)}
+                    className="px-2 bg-neutral-950 border border-neutral-800 hover:border-red-500 hover:text-red-400 rounded-md transition-colors"
+                    title="Delete material"
+                  ><Trash2 className="w-4 h-4" /></button>
+                )}
+              </div>
+              {material && (
+                <p className="text-xs text-neutral-500 mt-2 flex items-center">
+                  <span className="w-3 h-3 rounded-sm mr-2 border border-black/40" style={{ backgroundColor: material.color }}></span>
+                  {material.sheetWidth}×{material.sheetHeight}mm sheets, kerf {material.kerf}mm, {material.cost.toFixed(2)} per sheet
+                </p>
+              )}
+              <details className="mt-2 text-xs text-neutral-400">
+                <summary className="cursor-pointer hover:text-white">Save current settings as a material</summary>
+                <div className="mt-2 space-y-2">
+                  <input
+                    type="text" placeholder="Name"
+                    value={newMaterial.name}
+                    onChange={(e) => setNewMaterial(prev => ({ ...prev, name: e.target.value }))}
+                    className="w-full bg-neutral-950 border border-neutral-800 rounded-md py-1.5 px-2 text-sm focus:outline-none focus:border-orange-500"
+                  />
+                  <div className="flex space-x-2 items-end">
+                    <div className="flex-1">
+                      <div className="mb-1">Cost per sheet</div>
+                      <input
+                        type="number" min="0" step="0.1"
+                        value={newMaterial.cost}
+                        onChange={(e) => setNewMaterial(prev => ({ ...prev, cost: Math.max(0, Number(e.target.value)) }))}
+                        className="w-full bg-neutral-950 border border-neutral-800 rounded-md py-1.5 px-2 text-sm focus:outline-none focus:border-orange-500"
+                      />
+                    </div>
+                    <div>
+                      <div className="mb-1">Color</div>
+                      <input
+                        type="color"
+                        value={newMaterial.color}
+                        onChange={(e) => setNewMaterial(prev => ({ ...prev, color: e.target.value }))}
+                        className="h-8 w-12 bg-neutral-950 border border-neutral-800 rounded-md"
+                      />
+                    </div>
+                    <button
+                      onClick={addMaterial}
+                      disabled={!newMaterial.name.trim()}
+                      className="h-8 px-3 bg-neutral-950 border border-neutral-800 hover:border-orange-500 disabled:text-neutral-600 disabled:hover:border-neutral-800 rounded-md transition-colors"
+                    >Save</button>
+                  </div>
+                  <p className="text-neutral-500">Uses the thickness, sheet size and kerf set below.</p>
+                </div>
+              </details>
             </div>
 
             <div>
-               <label className="flex items-center text-sm font-medium mb-2 text-neutral-300">
-                <Square className="w-4 h-4 mr-2 text-neutral-500"/> Slicing Method
+              <label className="flex items-center text-sm font-medium mb-2 text-neutral-300">
+                <Ruler className="w-4 h-4 mr-2 text-neutral-500"/> Scale
+              </label>
+              {/* Switching to a factor or another locked axis starts from the current size */}
+              <div className="flex bg-neutral-950 rounded-md p-1 border border-neutral-800 mb-2">
+                {[['size', 'Lock Size'], ['factor', 'Factor'], ['fit', 'Fit Sheet']].map(([mode, label]) => (
+                  <button
+                    key={mode}
+                    className={`flex-1 text-xs py-1.5 rounded-sm transition-colors ${scaling.mode === mode ? 'bg-neutral-800 shadow text-white' : 'text-neutral-500 hover:text-white'}`}
+                    onClick={() => setScaling(prev => ({ ...prev, mode, ...(mode === 'factor' && modelData ? { factor: Number(modelData.scale.toPrecision(4)) } : {}) }))}
+                  >{label}</button>
+                ))}
+              </div>
+              {scaling.mode === 'size' && (
+                <div className="flex space-x-2">
+                  <div className="flex bg-neutral-950 rounded-md p-1 border border-neutral-800">
+                    {['x', 'y', 'z'].map(axis => (
+                      <button
+                        key={axis}
+                        className={`w-8 text-xs py-1 rounded-sm transition-colors ${scaling.axis === axis ? 'bg-neutral-800 shadow text-white' : 'text-neutral-500 hover:text-white'}`}
+                        onClick={() => setScaling(prev => ({
+                          ...prev,
+                          axis,
+                          size: modelData ? Number({ x: modelData.width, y: modelData.length, z: modelData.height }[axis].toFixed(1)) : prev.size
+                        }))}
+                        title={`Lock the ${axis.toUpperCase()} size`}
+                      >{axis.toUpperCase()}</button>
+                    ))}
+                  </div>
+                  <input
+                    type="number" min="1"
+                    value={scaling.size}
+                    onChange={(e) => setScaling(prev => ({ ...prev, size: Number(e.target.value) }))}
+                    className="flex-1 min-w-0 bg-neutral-950 border border-neutral-800 rounded-md py-1.5 px-3 focus:outline-none focus:border-orange-500 transition-colors"
+                    title="Size in mm"
+                  />
+                </div>
+              )}
+              {scaling.mode === 'factor' && (
+                <input
+                  type="number" min="0.001" step="0.1"
+                  value={scaling.factor}
+                  onChange={(e) => setScaling(prev => ({ ...prev, factor: Number(e.target.value) }))}
+                  className="w-full bg-neutral-950 border border-neutral-800 rounded-md py-1.5 px-3 focus:outline-none focus:border-orange-500 transition-colors"
+                  title="Model units to mm"
+                />
+              )}
+              <p className="text-xs text-neutral-500 mt-2">
+                {scaling.mode === 'size' && `The ${scaling.axis.toUpperCase()} size is locked in mm; the others follow.`}
+                {scaling.mode === 'factor' && 'Model units are multiplied by this factor (STL units are usually mm).'}
+                {scaling.mode === 'fit' && `As large as possible while every ${construction === 'waffle' ? 'rib' : 'layer'} still fits a ${sheet.width}×${sheet.height}mm sheet.`}
+                {modelData && ` Currently ×${modelData.scale.toPrecision(4)}.`}
+              </p>
+            </div>
+
+            <div>
+              <label className="flex items-center text-sm font-medium mb-2 text-neutral-300">
+                <Grid3x3 className="w-4 h-4 mr-2 text-neutral-500"/> Construction
               </label>
               <div className="flex bg-neutral-950 rounded-md p-1 border border-neutral-800">
                 <button
-                  className={`flex-1 text-sm py-1.5 rounded-sm transition-colors ${sliceMode === 'thickness' ? 'bg-neutral-800 shadow text-white' : 'text-neutral-500 hover:text-white'}`}
-                  onClick={() => setSliceMode('thickness')}
-                >By Thickness</button>
+                  className={`flex-1 text-sm py-1.5 rounded-sm transition-colors ${construction === 'stacked' ? 'bg-neutral-800 shadow text-white' : 'text-neutral-500 hover:text-white'}`}
+                  onClick={() => setConstruction('stacked')}
+                >Stacked Layers</button>
                 <button
-                  className={`flex-1 text-sm py-1.5 rounded-sm transition-colors ${sliceMode === 'count' ? 'bg-neutral-800 shadow text-white' : 'text-neutral-500 hover:text-white'}`}
-                  onClick={() => setSliceMode('count')}
-                >By Count</button>
+                  className={`flex-1 text-sm py-1.5 rounded-sm transition-colors ${construction === 'waffle' ? 'bg-neutral-800 shadow text-white' : 'text-neutral-500 hover:text-white'}`}
+                  onClick={() => setConstruction('waffle')}
+                >Waffle</button>
               </div>
             </div>
 
-            {sliceMode === 'thickness' ? (
-              <div>
-                <label className="block text-sm font-medium mb-2 text-neutral-300">Layer Thickness (mm)</label>
-                <input
-                  type="number" step="0.1"
-                  value={layerThickness}
-                  onChange={(e) => setLayerThickness(Number(e.target.value))}
-                  className="w-full bg-neutral-950 border border-neutral-800 rounded-md py-2 px-3 focus:outline-none focus:border-orange-500"
-                />
-                <p className="text-xs text-neutral-500 mt-2">Will produce ~{Math.floor(targetHeight / layerThickness)} layers.</p>
-              </div>
+            {construction === 'stacked' ? (
+              <>
+                <div>
+                   <label className="flex items-center text-sm font-medium mb-2 text-neutral-300">
+                    <Square className="w-4 h-4 mr-2 text-neutral-500"/> Slicing Method
+                  </label>
+                  <div className="flex bg-neutral-950 rounded-md p-1 border border-neutral-800">
+                    <button
+                      className={`flex-1 text-sm py-1.5 rounded-sm transition-colors ${sliceMode === 'thickness' ? 'bg-neutral-800 shadow text-white' : 'text-neutral-500 hover:text-white'}`}
+                      onClick={() => setSliceMode('thickness')}
+                    >By Thickness</button>
+                    <button
+                      className={`flex-1 text-sm py-1.5 rounded-sm transition-colors ${sliceMode === 'count' ? 'bg-neutral-800 shadow text-white' : 'text-neutral-500 hover:text-white'}`}
+                      onClick={() => setSliceMode('count')}
+                    >By Count</button>
+                  </div>
+                </div>
+
+                {sliceMode === 'thickness' ? (
+                  <div>
+                    <label className="block text-sm font-medium mb-2 text-neutral-300">Layer Thickness (mm)</label>
+                    <input
+                      type="number" step="0.1"
+                      value={layerThickness}
+                      onChange={(e) => setLayerThickness(Number(e.target.value))}
+                      className="w-full bg-neutral-950 border border-neutral-800 rounded-md py-2 px-3 focus:outline-none focus:border-orange-500"
+                    />
+                    {modelData && <p className="text-xs text-neutral-500 mt-2">Will produce ~{Math.floor(modelData.height / layerThickness)} layers.</p>}
+                  </div>
+                ) : (
+                  <div>
+                    <label className="block text-sm font-medium mb-2 text-neutral-300">Total Layer Count</label>
+                    <input
+                      type="number"
+                      value={layerCount}
+                      onChange={(e) => setLayerCount(Number(e.target.value))}
+                      className="w-full bg-neutral-950 border border-neutral-800 rounded-md py-2 px-3 focus:outline-none focus:border-orange-500"
+                    />
+                    {modelData && <p className="text-xs text-neutral-500 mt-2">Each layer will be {(modelData.height / layerCount).toFixed(2)}mm thick.</p>}
+                  </div>
+                )}
+
+                <div>
+                  <label className="flex items-center text-sm font-medium mb-2 text-neutral-300">
+                    <CircleDot className="w-4 h-4 mr-2 text-neutral-500"/> Alignment Dowels
+                  </label>
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <div className="text-xs text-neutral-400 mb-1">Count (0 = off)</div>
+                      <input
+                        type="number" min="0" max="4"
+                        value={dowelCount}
+                        onChange={(e) => setDowelCount(Math.max(0, Math.min(4, Math.floor(Number(e.target.value)))))}
+                        className="w-full bg-neutral-950 border border-neutral-800 rounded-md py-1.5 px-2 text-sm focus:outline-none focus:border-orange-500"
+                      />
+                    </div>
+                    <div>
+                      <div className="text-xs text-neutral-400 mb-1">Diameter (mm)</div>
+                      <input
+                        type="number" min="0.5" step="0.5"
+                        value={dowelDiameter}
+                        onChange={(e) => setDowelDiameter(Math.max(0.5, Number(e.target.value)))}
+                        className="w-full bg-neutral-950 border border-neutral-800 rounded-md py-1.5 px-2 text-sm focus:outline-none focus:border-orange-500"
+                      />
+                    </div>
+                  </div>
+                  <p className="text-xs text-neutral-500 mt-2">Holes are placed where consecutive layers overlap; the dowel splits where they stop overlapping.</p>
+                </div>
+              </>
             ) : (
-              <div>
-                <label className="block text-sm font-medium mb-2 text-neutral-300">Total Layer Count</label>
-                <input
-                  type="number"
-                  value={layerCount}
-                  onChange={(e) => setLayerCount(Number(e.target.value))}
-                  className="w-full bg-neutral-950 border border-neutral-800 rounded-md py-2 px-3 focus:outline-none focus:border-orange-500"
-                />
-                <p className="text-xs text-neutral-500 mt-2">Each layer will be {(targetHeight / layerCount).toFixed(2)}mm thick.</p>
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium mb-2 text-neutral-300">Material Thickness (mm)</label>
+                  <input
+                    type="number" step="0.1"
+                    value={layerThickness}
+                    onChange={(e) => setLayerThickness(Number(e.target.value))}
+                    className="w-full bg-neutral-950 border border-neutral-800 rounded-md py-2 px-3 focus:outline-none focus:border-orange-500"
+                  />
+                  <p className="text-xs text-neutral-500 mt-2">Slots are cut this wide, to half the depth where ribs cross.</p>
+                </div>
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium mb-2 text-neutral-300">Ribs along X</label>
+                    <input
+                      type="number" min="1"
+                      value={ribsX}
+                      onChange={(e) => setRibsX(Math.max(1, Math.floor(Number(e.target.value))))}
+                      className="w-full bg-neutral-950 border border-neutral-800 rounded-md py-2 px-3 focus:outline-none focus:border-orange-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-2 text-neutral-300">Ribs along Y</label>
+                    <input
+                      type="number" min="1"
+                      value={ribsY}
+                      onChange={(e) => setRibsY(Math.max(1, Math.floor(Number(e.target.value))))}
+                      className="w-full bg-neutral-950 border border-neutral-800 rounded-md py-2 px-3 focus:outline-none focus:border-orange-500"
+                    />
+                  </div>
+                </div>
+                {modelData && (
+                  <p className="text-xs text-neutral-500">
+                    Rib spacing {(modelData.width / ribsX).toFixed(1)}mm × {(modelData.length / ribsY).toFixed(1)}mm.
+                  </p>
+                )}
               </div>
             )}
 
             <button
               onClick={generateSlices}
-              disabled={!modelData || progress > 0 && progress < 100}
+              disabled={!modelData || isSlicing}
               className="w-full py-3 bg-orange-600 hover:bg-orange-500 disabled:bg-neutral-800 disabled:text-neutral-500 text-white font-semibold rounded-md transition-colors flex items-center justify-center shadow-lg shadow-orange-900/20"
             >
-              {(progress > 0 && progress < 100) ? (
+              {isSlicing ? (
                 <><Loader className="w-5 h-5 mr-2 animate-spin" /> Processing {Math.round(progress)}%</>
               ) : (
                 <><Play className="w-5 h-5 mr-2" /> Generate Slices</>
               )}
             </button>
+            {isSlicing && (
+              <button
+                onClick={cancelSlices}
+                className="w-full py-2 -mt-3 bg-neutral-950 border border-neutral-800 hover:border-red-500 hover:text-red-400 text-neutral-300 text-sm font-semibold rounded-md transition-colors flex items-center justify-center"
+              >
+                <X className="w-4 h-4 mr-2" /> Cancel
+              </button>
+            )}
+          </div>
+
+          {/* Scrap Cleanup */}
+          <div className="pt-6 mt-6 border-t border-neutral-800 space-y-3">
+            <label className="flex items-center text-sm font-medium text-neutral-300">
+              <Eraser className="w-4 h-4 mr-2 text-neutral-500"/> Scrap Cleanup
+            </label>
+            <div className="grid grid-cols-3 gap-2">
+              {[['minArea', 'Min area (mm²)', '0.5'], ['minWidth', 'Min width (mm)', '0.1'], ['mergeGap', 'Merge gap (mm)', '0.1']].map(([key, label, step]) => (
+                <div key={key}>
+                  <div className="text-xs text-neutral-400 mb-1">{label}</div>
+                  <input
+                    type="number" min="0" step={step}
+                    value={cleanup[key]}
+                    onChange={(e) => setCleanup(prev => ({ ...prev, [key]: Math.max(0, Number(e.target.value)) }))}
+                    className="w-full bg-neutral-950 border border-neutral-800 rounded-md py-1.5 px-2 text-sm focus:outline-none focus:border-orange-500"
+                  />
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-neutral-500">Smaller islands and holes are dropped; islands closer than the merge gap are bridged together. 0 turns a check off.</p>
+            {cleaned.report.length > 0 && (
+              <details className="p-3 bg-neutral-950 rounded-lg border border-neutral-800 text-xs">
+                <summary className="cursor-pointer text-neutral-300">
+                  Changed {cleaned.report.length} part(s): {cleaned.report.reduce((n, e) => n + e.islands, 0)} islands, {cleaned.report.reduce((n, e) => n + e.holes, 0)} holes removed, {cleaned.report.reduce((n, e) => n + e.merged, 0)} merged
+                </summary>
+                <ul className="mt-2 space-y-1 max-h-40 overflow-y-auto">
+                  {cleaned.report.map(entry => (
+                    <li key={entry.part} className="flex justify-between text-neutral-400">
+                      <span>{entry.label}</span>
+                      <span className="font-mono">
+                        {[
+                          entry.islands && `${entry.islands} island${entry.islands > 1 ? 's' : ''} (${entry.area.toFixed(1)}mm²)`,
+                          entry.holes && `${entry.holes} hole${entry.holes > 1 ? 's' : ''}`,
+                          entry.merged && `${entry.merged} merged`
+                        ].filter(Boolean).join(', ')}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            )}
+          </div>
+
+          {/* Path Simplification */}
+          <div className="pt-6 mt-6 border-t border-neutral-800 space-y-3">
+            <label className="flex items-center justify-between text-sm font-medium text-neutral-300">
+              <span className="flex items-center"><Spline className="w-4 h-4 mr-2 text-neutral-500"/> Simplify Paths</span>
+              <span className="font-mono text-xs text-neutral-400">{tolerance.toFixed(2)}mm</span>
+            </label>
+            <input
+              type="range" min="0" max="1" step="0.01"
+              value={tolerance}
+              onChange={(e) => setTolerance(Number(e.target.value))}
+              className="w-full accent-orange-500"
+            />
+            {slices.length > 0 ? (
+              <p className="text-xs text-neutral-500">
+                Nodes: <span className="font-mono">{nodeCounts.before.toLocaleString()}</span> → <span className="font-mono text-neutral-300">{nodeCounts.after.toLocaleString()}</span>
+              </p>
+            ) : (
+              <p className="text-xs text-neutral-500">Paths may stray this far from the slice to drop redundant points.</p>
+            )}
+          </div>
+
+          {/* Cut & Engrave */}
+          <div className="pt-6 mt-6 border-t border-neutral-800 space-y-3">
+            <label className="flex items-center text-sm font-medium text-neutral-300">
+              <Scissors className="w-4 h-4 mr-2 text-neutral-500"/> Cut &amp; Engrave
+            </label>
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <div className="text-xs text-neutral-400 mb-1">Kerf (mm)</div>
+                <input
+                  type="number" min="0" step="0.05"
+                  value={kerf}
+                  onChange={(e) => setKerf(Math.max(0, Number(e.target.value)))}
+                  className="w-full bg-neutral-950 border border-neutral-800 rounded-md py-1.5 px-2 text-sm focus:outline-none focus:border-orange-500"
+                />
+              </div>
+              <div>
+                <div className="text-xs text-neutral-400 mb-1">Corners</div>
+                <div className="flex bg-neutral-950 rounded-md p-1 border border-neutral-800">
+                  {[['miter', 'Miter'], ['round', 'Round']].map(([value, label]) => (
+                    <button
+                      key={value}
+                      className={`flex-1 text-xs py-1 rounded-sm transition-colors ${kerfJoin === value ? 'bg-neutral-800 shadow text-white' : 'text-neutral-500 hover:text-white'}`}
+                      onClick={() => setKerfJoin(value)}
+                    >{label}</button>
+                  ))}
+                </div>
+              </div>
+            </div>
+            <p className="text-xs text-neutral-500">Outlines move out and holes move in by half the kerf (typically 0.1–0.2mm).</p>
+            <label className="flex items-center text-sm text-neutral-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={engraveGuides}
+                onChange={(e) => setEngraveGuides(e.target.checked)}
+                className="mr-2 accent-orange-500"
+              />
+              Engrave outline of the layer above
+            </label>
+            <div>
+              <div className="text-xs text-neutral-400 mb-1">Label format</div>
+              <input
+                type="text"
+                value={labelFormat}
+                onChange={(e) => setLabelFormat(e.target.value)}
+                placeholder={DEFAULT_LABEL_FORMAT}
+                className="w-full bg-neutral-950 border border-neutral-800 rounded-md py-1.5 px-2 text-sm font-mono focus:outline-none focus:border-orange-500"
+              />
+              <p className="text-xs text-neutral-500 mt-1">
+                Tokens: {'{label} {n} {nn} {axis}'}. Part 7 reads "{formatLabel(labelFormat, { label: 'Layer 7', axis: 'z' }, 7)}".
+              </p>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <div className="text-xs text-neutral-400 mb-1">Holding tabs</div>
+                <input
+                  type="number" min="0" max="12" step="1"
+                  value={tabs.count}
+                  onChange={(e) => setTabs(prev => ({ ...prev, count: Math.max(0, Math.min(12, Math.round(Number(e.target.value)))) }))}
+                  className="w-full bg-neutral-950 border border-neutral-800 rounded-md py-1.5 px-2 text-sm focus:outline-none focus:border-orange-500"
+                />
+              </div>
+              <div>
+                <div className="text-xs text-neutral-400 mb-1">Tab width (mm)</div>
+                <input
+                  type="number" min="0.1" step="0.1"
+                  value={tabs.width}
+                  onChange={(e) => setTabs(prev => ({ ...prev, width: Math.max(0.1, Number(e.target.value)) }))}
+                  className="w-full bg-neutral-950 border border-neutral-800 rounded-md py-1.5 px-2 text-sm focus:outline-none focus:border-orange-500"
+                />
+              </div>
+            </div>
+            <p className="text-xs text-neutral-500">Uncut bridges per part outline, placed on straight edges, keep small parts from dropping through the bed. 0 turns them off.</p>
+          </div>
+
+          {/* Sheet Layout */}
+          <div className="pt-6 mt-6 border-t border-neutral-800 space-y-3">
+            <label className="flex items-center text-sm font-medium text-neutral-300">
+              <LayoutGrid className="w-4 h-4 mr-2 text-neutral-500"/> Sheet Layout
+            </label>
+            <div className="grid grid-cols-3 gap-2">
+              {[['width', 'Width'], ['height', 'Height'], ['gap', 'Gap']].map(([key, label]) => (
+                <div key={key}>
+                  <div className="text-xs text-neutral-400 mb-1">{label} (mm)</div>
+                  <input
+                    type="number" min="0"
+                    value={sheet[key]}
+                    onChange={(e) => setSheet(prev => ({ ...prev, [key]: Math.max(0, Number(e.target.value)) }))}
+                    className="w-full bg-neutral-950 border border-neutral-800 rounded-md py-1.5 px-2 text-sm focus:outline-none focus:border-orange-500"
+                  />
+                </div>
+              ))}
+            </div>
+            <label className="flex items-center text-sm text-neutral-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={sheet.allowRotation}
+                onChange={(e) => setSheet(prev => ({ ...prev, allowRotation: e.target.checked }))}
+                className="mr-2 accent-orange-500"
+              />
+              Allow part rotation
+            </label>
+            {slices.length > 0 && (
+              <div className="p-3 bg-neutral-950 rounded-lg border border-neutral-800 text-sm">
+                {layout ? (
+                  <>
+                    <div className="flex justify-between"><span className="text-neutral-400">Sheets</span><span className="font-mono">{layout.sheets.length}</span></div>
+                    <div className="flex justify-between"><span className="text-neutral-400">Utilization</span><span className="font-mono">{(layout.utilization * 100).toFixed(1)}%</span></div>
+                    {layout.oversize.length > 0 && (
+                      <p className="text-xs text-red-400 mt-2">{layout.oversize.length} part(s) are larger than the sheet and were placed on their own.</p>
+                    )}
+                  </>
+                ) : (
+                  <div className="flex items-center text-neutral-400"><Loader className="w-4 h-4 mr-2 animate-spin" /> Nesting parts...</div>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* Job Summary */}
+          <div className="pt-6 mt-6 border-t border-neutral-800 space-y-3">
+            <label className="flex items-center text-sm font-medium text-neutral-300">
+              <Clock className="w-4 h-4 mr-2 text-neutral-500"/> Job Summary
+            </label>
+            {summary ? (
+              <div className="p-3 bg-neutral-950 rounded-lg border border-neutral-800 text-sm space-y-0.5">
+                <div className="flex justify-between"><span className="text-neutral-400">Cut length</span><span className="font-mono">{formatLength(summary.cut)}</span></div>
+                <div className="flex justify-between"><span className="text-neutral-400">Engrave length</span><span className="font-mono">{formatLength(summary.engrave)}</span></div>
+                <div className="flex justify-between"><span className="text-neutral-400">Pierces</span><span className="font-mono">{summary.pierces}</span></div>
+                <div className="flex justify-between"><span className="text-neutral-400">Travel</span><span className="font-mono">{formatLength(summary.travel)}</span></div>
+                {summary.naiveTravel > summary.travel && (
+                  <p className="text-xs text-neutral-500">Cut ordering saves {formatLength(summary.naiveTravel - summary.travel)} of travel ({Math.round((1 - summary.travel / summary.naiveTravel) * 100)}% less than layout order).</p>
+                )}
+                <div className="flex justify-between"><span className="text-neutral-400">Run time</span><span className="font-mono text-orange-400">~{formatDuration(summary.time)}</span></div>
+                <p className="text-xs text-neutral-500">Timed from the G-code machine profile below, passes included.</p>
+                <div className="flex justify-between"><span className="text-neutral-400">Cardboard</span><span className="font-mono">{formatArea(summary.partArea)} of {formatArea(summary.stockArea)}</span></div>
+                <div className="flex justify-between"><span className="text-neutral-400">Cost</span><span className="font-mono">{summary.cost === null ? 'pick a material' : summary.cost.toFixed(2)}</span></div>
+              </div>
+            ) : (
+              <p className="text-xs text-neutral-500">Generate slices to estimate cut time and cost.</p>
+            )}
+            <button
+              onClick={printJobSheet}
+              disabled={!summary}
+              className="w-full py-2 text-sm bg-neutral-950 border border-neutral-800 hover:border-orange-500 disabled:text-neutral-600 disabled:hover:border-neutral-800 rounded-md transition-colors flex items-center justify-center"
+            >
+              <Printer className="w-4 h-4 mr-2" /> Print Job Sheet
+            </button>
+          </div>
+
+          {/* G-code */}
+          <div className="pt-6 mt-6 border-t border-neutral-800 space-y-3">
+            <label className="flex items-center text-sm font-medium text-neutral-300">
+              <Cpu className="w-4 h-4 mr-2 text-neutral-500"/> G-code (GRBL)
+            </label>
+            <div className="flex bg-neutral-950 rounded-md p-1 border border-neutral-800">
+              {[['laser', 'Laser'], ['knife', 'Drag Knife']].map(([value, label]) => (
+                <button
+                  key={value}
+                  className={`flex-1 text-sm py-1.5 rounded-sm transition-colors ${machine.tool === value ? 'bg-neutral-800 shadow text-white' : 'text-neutral-500 hover:text-white'}`}
+                  onClick={() => setMachine(prev => ({ ...prev, tool: value }))}
+                >{label}</button>
+              ))}
+            </div>
+            <details className="text-xs text-neutral-400">
+              <summary className="cursor-pointer hover:text-white">Machine profile</summary>
+              <div className="mt-2 space-y-2">
+                <div>
+                  <div className="mb-1">Origin corner</div>
+                  <select
+                    value={machine.origin}
+                    onChange={(e) => setMachine(prev => ({ ...prev, origin: e.target.value }))}
+                    className="w-full bg-neutral-950 border border-neutral-800 rounded-md py-1.5 px-2 text-sm focus:outline-none focus:border-orange-500"
+                  >
+                    {ORIGINS.map(origin => <option key={origin} value={origin}>{origin.replace('-', ' ')}</option>)}
+                  </select>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  {[
+                    ['bedWidth', 'Bed width (mm)'],
+                    ['bedHeight', 'Bed height (mm)'],
+                    ['cutFeed', 'Cut feed (mm/min)'],
+                    ['engraveFeed', 'Engrave feed (mm/min)'],
+                    ['travelFeed', 'Travel feed (mm/min)'],
+                    ['passes', 'Passes'],
+                    ...(machine.tool === 'laser'
+                      ? [['cutPower', 'Cut power (S)'], ['engravePower', 'Engrave power (S)']]
+                      : [['zSafe', 'Z up (mm)'], ['zCut', 'Z cut (mm)'], ['zScore', 'Z score (mm)'], ['plungeFeed', 'Plunge (mm/min)']])
+                  ].map(([key, label]) => (
+                    <div key={key}>
+                      <div className="mb-1">{label}</div>
+                      <input
+                        type="number" step={key === 'passes' ? '1' : 'any'}
+                        value={machine[key]}
+                        onChange={(e) => setMachine(prev => ({ ...prev, [key]: key === 'passes' ? Math.max(1, Math.floor(Number(e.target.value))) : Number(e.target.value) }))}
+                        className="w-full bg-neutral-950 border border-neutral-800 rounded-md py-1.5 px-2 text-sm focus:outline-none focus:border-orange-500"
+                      />
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </details>
+            {oversizeForBed > 0 && (
+              <p className="text-xs text-red-400">{oversizeForBed} sheet(s) are larger than the machine bed.</p>
+            )}
+            <div className="grid grid-cols-2 gap-2">
+              <button
+                onClick={() => setShowToolpath(true)}
+                disabled={slices.length === 0 || !layout}
+                className="py-2 text-sm bg-neutral-950 border border-neutral-800 hover:border-orange-500 disabled:text-neutral-600 disabled:hover:border-neutral-800 rounded-md transition-colors flex items-center justify-center"
+              >
+                <Eye className="w-4 h-4 mr-2" /> Preview
+              </button>
+              <button
+                onClick={downloadGCode}
+                disabled={slices.length === 0 || !layout}
+                className="py-2 text-sm bg-neutral-950 border border-neutral-800 hover:border-orange-500 disabled:text-neutral-600 disabled:hover:border-neutral-800 rounded-md transition-colors flex items-center justify-center"
+              >
+                <Download className="w-4 h-4 mr-2" /> G-code
+              </button>
+            </div>
           </div>
 
           {/* Export Action */}
-          <div className="pt-6 mt-6 border-t border-neutral-800">
+          <div className="pt-6 mt-6 border-t border-neutral-800 grid grid-cols-2 gap-2">
             <button
               onClick={downloadSVG}
-              disabled={slices.length === 0}
-              className="w-full py-3 bg-white text-black hover:bg-neutral-200 disabled:bg-neutral-800 disabled:text-neutral-500 font-semibold rounded-md transition-colors flex items-center justify-center"
+              disabled={slices.length === 0 || !layout}
+              className="py-3 bg-white text-black hover:bg-neutral-200 disabled:bg-neutral-800 disabled:text-neutral-500 font-semibold rounded-md transition-colors flex items-center justify-center"
             >
-              <Download className="w-5 h-5 mr-2" /> Download SVG Blueprint
+              <Download className="w-5 h-5 mr-2" /> Download SVG
+            </button>
+            <button
+              onClick={downloadDXF}
+              disabled={slices.length === 0 || !layout}
+              className="py-3 bg-white text-black hover:bg-neutral-200 disabled:bg-neutral-800 disabled:text-neutral-500 font-semibold rounded-md transition-colors flex items-center justify-center"
+            >
+              <Download className="w-5 h-5 mr-2" /> Download DXF
             </button>
           </div>
 
@@ -721,11 +1687,12 @@ export default function App() {
           {/* 3D Split View */}
           <div
             ref={threeContainerRef}
-            className="flex-1 border-b border-neutral-800 flex relative cursor-move bg-gradient-to-b from-neutral-800 to-neutral-950"
+            tabIndex={0}
+            className="flex-1 border-b border-neutral-800 flex relative cursor-move touch-none select-none focus:outline-none bg-gradient-to-b from-neutral-800 to-neutral-950"
           >
             {/* Sync Camera Overlay instructions */}
             <div className="absolute top-4 left-1/2 -translate-x-1/2 z-10 pointer-events-none bg-black/40 px-3 py-1.5 rounded-full text-xs text-neutral-300 border border-white/10 backdrop-blur-sm shadow-xl whitespace-nowrap">
-              Left-click: Rotate • Right-click (or Shift+click): Pan • Scroll: Zoom
+              Drag: Rotate • Two fingers, right-drag or Shift+drag: Pan • Pinch or scroll: Zoom • Double-tap or F: Frame • R: Reset
             </div>
 
             {/* Left: Original */}
@@ -741,24 +1708,49 @@ export default function App() {
             </div>
           </div>
 
+          {/* Layer Scrubber */}
+          {drilledParts.length > 0 && (
+            <div className="bg-neutral-900 border-t border-neutral-800 px-4 py-2 flex items-center space-x-3 text-sm">
+              <SlidersHorizontal className="w-4 h-4 text-neutral-500 shrink-0"/>
+              <input
+                type="range" min="0" max={drilledParts.length - 1} step="1"
+                value={selectedPart ?? 0}
+                onChange={(e) => setSelectedPart(Number(e.target.value))}
+                className={`flex-1 accent-orange-500 ${selectedPart === null ? 'opacity-50' : ''}`}
+              />
+              <span className="font-mono text-xs text-neutral-300 w-40 text-right truncate">
+                {selectedPart === null ? 'All layers' : `${drilledParts[selectedPart].label} (${selectedPart + 1}/${drilledParts.length})`}
+              </span>
+              <button
+                onClick={() => setSelectedPart(null)}
+                disabled={selectedPart === null}
+                className="text-xs px-2 py-1 bg-neutral-950 border border-neutral-800 hover:border-orange-500 disabled:text-neutral-600 disabled:hover:border-neutral-800 rounded-md transition-colors"
+              >Show all</button>
+            </div>
+          )}
+
           {/* 2D Blueprint View */}
           <div className="h-[40%] bg-neutral-200 relative overflow-hidden flex flex-col border-t-4 border-neutral-950">
              <div className="absolute top-0 left-0 right-0 bg-white/90 backdrop-blur border-b border-neutral-300 px-4 py-2 flex justify-between items-center z-10 shadow-sm">
               <span className="text-black font-semibold text-sm flex items-center">
                 <Square className="w-4 h-4 mr-2 text-neutral-600"/> 2D Laser Cutting Layout
               </span>
-              <span className="text-xs text-neutral-500">Preview only. Click Download SVG for true-to-scale vector file.</span>
+              <span className="text-xs text-neutral-500">Black: cut, blue: engrave. Click a part to select its layer. Download SVG or DXF for true-to-scale vector files.</span>
             </div>
-            <div className="flex-1 overflow-auto p-8 pt-16 flex items-start justify-center cursor-grab active:cursor-grabbing inner-shadow">
+            <div ref={blueprintScrollRef} className="flex-1 overflow-auto p-8 pt-16 flex items-start justify-center cursor-grab active:cursor-grabbing inner-shadow">
               {/* Using a wrapper to center the canvas naturally if it's smaller than the viewport, and scroll if larger */}
               <div className="bg-white shadow-2xl border border-neutral-300 transition-transform duration-300 ease-in-out transform origin-top">
-                 <canvas ref={blueprintCanvasRef} className="block pointer-events-none" />
+                 <canvas ref={blueprintCanvasRef} onClick={pickBlueprintPart} className="block cursor-pointer" title="Click a part to select its layer" />
               </div>
             </div>
           </div>
 
         </main>
       </div>
+
+      {showToolpath && gcodePlans && (
+        <ToolpathPlayer sheets={layout.sheets} plans={gcodePlans} machine={machine} onClose={() => setShowToolpath(false)} />
+      )}
     </div>
   );
 }
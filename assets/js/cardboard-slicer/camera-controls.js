@@ -0,0 +1,231 @@
+/**
+ * Cardboard Slicer - camera controls
+ *
+ * Pointer-event orbit controls, so mouse, pen and touch all work: one finger or the left
+ * button orbits, two fingers pinch-zoom and pan, the right/middle button or Shift+drag pans,
+ * the wheel zooms and a double tap (or double click) frames the model. Orbiting and panning
+ * coast to a stop after release. Keyboard, while the element has focus: arrows orbit,
+ * Shift+arrows pan, +/- zoom, F frames the model and R resets the view.
+ *
+ * The controls only hold the orbit (theta, phi, radius around a target); `onChange(position,
+ * target)` runs whenever the view moves, so one set of controls can drive several cameras.
+ */
+import * as THREE from 'three';
+
+const ROTATE_SPEED = 0.01; // Radians per pixel dragged
+const PAN_SPEED = 0.002; // Fraction of the orbit radius per pixel dragged
+const WHEEL_ZOOM = 0.0007; // Per wheel delta unit, applied exponentially
+const MIN_RADIUS = 10;
+const INERTIA_DECAY = 0.9; // Share of the release velocity kept each frame
+const INERTIA_WINDOW = 60; // ms: a drag that stopped longer ago than this does not coast
+const TAP_MOVE = 10, TAP_TIME = 250, DOUBLE_TAP_TIME = 300; // px, ms, ms
+const KEY_STEP = 15; // Pixels of drag one arrow key press stands for
+const KEY_ZOOM = 1.15;
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+// getFrameBox() returns the THREE.Box3 to fit on a double tap (or an empty box to skip);
+// framing uses `camera`'s field of view and aspect
+export function createOrbitControls(element, { onChange, getFrameBox, camera }) {
+  const home = { theta: Math.PI / 4, phi: Math.PI / 3, radius: 300, target: new THREE.Vector3(0, 50, 0) };
+  let theta = home.theta, phi = home.phi, radius = home.radius;
+  const target = home.target.clone();
+
+  const position = new THREE.Vector3();
+  const basis = new THREE.Matrix4();
+  const right = new THREE.Vector3(), up = new THREE.Vector3();
+
+  const update = () => {
+    position.set(
+      radius * Math.sin(phi) * Math.cos(theta),
+      radius * Math.cos(phi),
+      radius * Math.sin(phi) * Math.sin(theta)
+    ).add(target);
+    onChange(position, target);
+  };
+
+  const rotate = (dx, dy) => {
+    theta -= dx * ROTATE_SPEED;
+    phi = Math.max(0.01, Math.min(Math.PI - 0.01, phi - dy * ROTATE_SPEED));
+  };
+
+  // Moves the target along the view plane, scaled by distance so it feels the same at any zoom
+  const pan = (dx, dy) => {
+    basis.lookAt(position, target, UP);
+    right.setFromMatrixColumn(basis, 0);
+    up.setFromMatrixColumn(basis, 1);
+    const speed = radius * PAN_SPEED;
+    target.addScaledVector(right, -dx * speed).addScaledVector(up, dy * speed);
+  };
+
+  const zoom = (factor) => {
+    radius = Math.max(MIN_RADIUS, radius * factor);
+  };
+
+  const frame = () => {
+    const box = getFrameBox();
+    if (box.isEmpty()) return;
+    const sphere = box.getBoundingSphere(new THREE.Sphere());
+    // Fit the bounding sphere to the narrower of the vertical and horizontal fields of view
+    const vertical = THREE.MathUtils.degToRad(camera.fov) / 2;
+    const horizontal = Math.atan(Math.tan(vertical) * camera.aspect);
+    target.copy(sphere.center);
+    radius = Math.max(MIN_RADIUS, (sphere.radius / Math.sin(Math.min(vertical, horizontal))) * 1.05);
+    update();
+  };
+
+  const reset = () => {
+    theta = home.theta; phi = home.phi; radius = home.radius;
+    target.copy(home.target);
+    update();
+  };
+
+  // --- Inertia ---
+  let velocity = null; // { mode, dx, dy } in px per move event
+  let lastMove = 0;
+  let coastFrame = 0;
+
+  const stopCoasting = () => {
+    cancelAnimationFrame(coastFrame);
+    coastFrame = 0;
+  };
+
+  const coast = () => {
+    const { mode, dx, dy } = velocity;
+    if (Math.hypot(dx, dy) < 0.05) return stopCoasting();
+    if (mode === 'rotate') rotate(dx, dy);
+    else pan(dx, dy);
+    update();
+    velocity = { mode, dx: dx * INERTIA_DECAY, dy: dy * INERTIA_DECAY };
+    coastFrame = requestAnimationFrame(coast);
+  };
+
+  // --- Pointers ---
+  const pointers = new Map(); // pointerId -> { x, y }
+  let mode = null; // 'rotate', 'pan' or 'pinch'
+  let pinch = null; // { distance, mid } of the two touching pointers
+  let tap = null; // Where and when the current single press started
+  let lastTap = null;
+
+  const pinchState = () => {
+    const [a, b] = [...pointers.values()];
+    return { distance: Math.hypot(a.x - b.x, a.y - b.y) || 1, mid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 } };
+  };
+
+  const handlePointerDown = (e) => {
+    element.focus({ preventScroll: true });
+    element.setPointerCapture(e.pointerId);
+    stopCoasting();
+    velocity = null;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (pointers.size === 2) {
+      mode = 'pinch';
+      pinch = pinchState();
+      tap = null;
+    } else if (pointers.size === 1) {
+      mode = e.button === 1 || e.button === 2 || e.shiftKey ? 'pan' : 'rotate';
+      tap = { x: e.clientX, y: e.clientY, time: performance.now() };
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    const prev = pointers.get(e.pointerId);
+    if (!prev) return;
+    const point = { x: e.clientX, y: e.clientY };
+    pointers.set(e.pointerId, point);
+
+    if (mode === 'pinch') {
+      if (pointers.size < 2) return;
+      const next = pinchState();
+      zoom(pinch.distance / next.distance);
+      pan(next.mid.x - pinch.mid.x, next.mid.y - pinch.mid.y);
+      pinch = next;
+    } else if (mode) {
+      const dx = point.x - prev.x, dy = point.y - prev.y;
+      if (mode === 'rotate') rotate(dx, dy);
+      else pan(dx, dy);
+      velocity = { mode, dx, dy };
+      lastMove = performance.now();
+    }
+    if (tap && Math.hypot(point.x - tap.x, point.y - tap.y) > TAP_MOVE) tap = null;
+    update();
+  };
+
+  const handlePointerUp = (e) => {
+    if (!pointers.delete(e.pointerId)) return;
+    if (pointers.size === 1) {
+      // Lifting one finger of a pinch carries on as a one-finger orbit
+      mode = 'rotate';
+      velocity = null;
+      return;
+    }
+    if (pointers.size > 0) return;
+
+    mode = null;
+    if (velocity && performance.now() - lastMove < INERTIA_WINDOW) coastFrame = requestAnimationFrame(coast);
+
+    const now = performance.now();
+    if (tap && now - tap.time < TAP_TIME) {
+      const isDouble = lastTap && now - lastTap.time < DOUBLE_TAP_TIME && Math.hypot(tap.x - lastTap.x, tap.y - lastTap.y) < TAP_MOVE * 2;
+      if (isDouble) frame();
+      lastTap = isDouble ? null : { ...tap, time: now };
+    }
+    tap = null;
+  };
+
+  const handleWheel = (e) => {
+    e.preventDefault();
+    zoom(Math.exp(e.deltaY * WHEEL_ZOOM));
+    update();
+  };
+
+  const handleContextMenu = (e) => e.preventDefault();
+
+  // --- Keyboard ---
+  const handleKeyDown = (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    const arrows = { ArrowLeft: [-KEY_STEP, 0], ArrowRight: [KEY_STEP, 0], ArrowUp: [0, -KEY_STEP], ArrowDown: [0, KEY_STEP] };
+    if (arrows[e.key]) {
+      const [dx, dy] = arrows[e.key];
+      if (e.shiftKey) pan(dx, dy);
+      else rotate(dx, dy);
+    } else if (e.key === '+' || e.key === '=') {
+      zoom(1 / KEY_ZOOM);
+    } else if (e.key === '-' || e.key === '_') {
+      zoom(KEY_ZOOM);
+    } else if (e.key === 'f' || e.key === 'F') {
+      frame();
+    } else if (e.key === 'r' || e.key === 'R') {
+      reset();
+    } else {
+      return;
+    }
+    e.preventDefault();
+    stopCoasting();
+    update();
+  };
+
+  element.addEventListener('pointerdown', handlePointerDown);
+  element.addEventListener('pointermove', handlePointerMove);
+  element.addEventListener('pointerup', handlePointerUp);
+  element.addEventListener('pointercancel', handlePointerUp);
+  element.addEventListener('wheel', handleWheel, { passive: false });
+  element.addEventListener('contextmenu', handleContextMenu);
+  element.addEventListener('keydown', handleKeyDown);
+  update();
+
+  return {
+    frame,
+    reset,
+    dispose() {
+      stopCoasting();
+      element.removeEventListener('pointerdown', handlePointerDown);
+      element.removeEventListener('pointermove', handlePointerMove);
+      element.removeEventListener('pointerup', handlePointerUp);
+      element.removeEventListener('pointercancel', handlePointerUp);
+      element.removeEventListener('wheel', handleWheel);
+      element.removeEventListener('contextmenu', handleContextMenu);
+      element.removeEventListener('keydown', handleKeyDown);
+    }
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * Cardboard Slicer - removing uncuttable scraps
+ *
+ * Noisy meshes slice into microscopic loops and paper-thin fragments. Islands and holes
+ * below a minimum area, and islands narrower than a minimum width, are dropped; islands
+ * closer than a merge gap to their neighbour can instead be joined to it by a bridge.
+ * Everything removed or merged is reported per part so nothing disappears silently.
+ */
+import { signedArea, pathBounds, rasterizeShapes, distanceField } from './polygons.js';
+
+const WIDTH_TILE = 200; // Cells per side of each raster tile the width check works through
+
+// Whether no circle `minWidth` wide fits anywhere in the shape, from a raster distance field
+// with cells a fifth of minWidth. Long parts are checked tile by tile so they keep the same
+// fine grid without one huge raster; each tile overlaps its neighbours by more than the depth
+// that matters, so its own edge never hides a wide spot. Stops at the first wide spot found.
+function isNarrow(shape, minWidth) {
+  const b = pathBounds(shape.outer);
+  const res = minWidth / 5;
+  const overlap = Math.ceil(minWidth / 2 / res) + 2;
+  const size = WIDTH_TILE + overlap * 2;
+  for (let y = b.minY; y < b.maxY; y += WIDTH_TILE * res) {
+    for (let x = b.minX; x < b.maxX; x += WIDTH_TILE * res) {
+      const grid = { res, ox: x - overlap * res, oy: y - overlap * res, cols: size, rows: size };
+      const dist = distanceField(rasterizeShapes([shape], grid), size, size);
+      for (let r = overlap; r < overlap + WIDTH_TILE; r++) {
+        for (let c = overlap; c < overlap + WIDTH_TILE; c++) {
+          if ((dist[r * size + c] - 0.5) * res * 2 >= minWidth) return false;
+        }
+      }
+    }
+  }
+  return true;
+}
+
+// Closest pair of points between two closed paths, as { i, t } positions on their edges
+// (edge i runs from path[i] to path[i + 1], t in [0, 1])
+function closestApproach(pathA, pathB) {
+  let best = { dist: Infinity };
+  const project = (p, path, i) => {
+    const a = path[i], b = path[(i + 1) % path.length];
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+    return { t, dist: Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy)) };
+  };
+  const scan = (from, to, swap) => {
+    for (let v = 0; v < from.length; v++) {
+      for (let i = 0; i < to.length; i++) {
+        const { t, dist } = project(from[v], to, i);
+        if (dist >= best.dist) continue;
+        const vertex = { i: v, t: 0 }, edge = { i, t };
+        best = swap ? { dist, a: edge, b: vertex } : { dist, a: vertex, b: edge };
+      }
+    }
+  };
+  scan(pathA, pathB, false);
+  scan(pathB, pathA, true);
+  return best;
+}
+
+// Position `dist` mm along a closed path from { i, t }, forwards (dir 1) or backwards (dir -1)
+function walk(path, { i, t }, dist, dir) {
+  const n = path.length;
+  const edgeLength = k => Math.hypot(path[(k + 1) % n].x - path[k].x, path[(k + 1) % n].y - path[k].y);
+  let k = i, left = dist;
+  let along = t * edgeLength(k); // Distance from path[k] to the current point
+  for (let guard = 0; guard <= n; guard++) {
+    const len = edgeLength(k);
+    if (dir > 0 ? len - along >= left : along >= left) {
+      const at = dir > 0 ? along + left : along - left;
+      return { i: k, t: len ? at / len : 0 };
+    }
+    left -= dir > 0 ? len - along : along;
+    k = dir > 0 ? (k + 1) % n : (k + n - 1) % n;
+    along = dir > 0 ? 0 : edgeLength(k);
+  }
+  return null;
+}
+
+const pointAt = (path, { i, t }) => {
+  const a = path[i], b = path[(i + 1) % path.length];
+  return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+};
+
+// Points of the closed path going forwards from position `from` to position `to`
+function stretch(path, from, to) {
+  const n = path.length;
+  const out = [pointAt(path, from)];
+  const steps = (to.i - from.i + n) % n || (to.t < from.t ? n : 0);
+  for (let s = 1; s <= steps; s++) out.push(path[(from.i + s) % n]);
+  out.push(pointAt(path, to));
+  return out;
+}
+
+// Joins two counter-clockwise outers with a bridge `width` wide across their closest gap
+function bridgeOuters(outerA, outerB, approach, width) {
+  const a1 = walk(outerA, approach.a, width / 2, -1), a2 = walk(outerA, approach.a, width / 2, 1);
+  const b1 = walk(outerB, approach.b, width / 2, -1), b2 = walk(outerB, approach.b, width / 2, 1);
+  if (!a1 || !a2 || !b1 || !b2) return null;
+  // Facing outers run in opposite directions, so B's forward side lines up with A's backward side
+  return [...stretch(outerA, a2, a1), ...stretch(outerB, b2, b1)];
+}
+
+// options: { minArea (mm²), minWidth (mm), mergeGap (mm) }; zero turns a check off.
+// Returns the cleaned parts and, per affected part, what happened to it.
+export function cleanupParts(parts, { minArea = 0, minWidth = 0, mergeGap = 0 }) {
+  const report = [];
+  if (!(minArea > 0) && !(minWidth > 0) && !(mergeGap > 0)) return { parts, report };
+
+  const cleaned = parts.map((part, index) => {
+    const entry = { part: index, label: part.label, islands: 0, holes: 0, merged: 0, area: 0 };
+    let shapes = part.shapes.map(({ outer, holes }) => ({
+      outer,
+      holes: holes.filter(hole => {
+        const area = Math.abs(signedArea(hole));
+        if (area >= minArea) return true;
+        entry.holes++;
+        return false;
+      })
+    }));
+
+    shapes = shapes.filter(shape => {
+      const area = Math.abs(signedArea(shape.outer));
+      if (area >= minArea && !(minWidth > 0 && isNarrow(shape, minWidth))) return true;
+      entry.islands++;
+      entry.area += area;
+      return false;
+    });
+
+    // Bridge the closest pair of islands until no gap is under the merge distance
+    if (mergeGap > 0) {
+      const bridgeWidth = Math.max(minWidth, 1);
+      const apart = (a, b) => a.minX - b.maxX > mergeGap || b.minX - a.maxX > mergeGap ||
+        a.minY - b.maxY > mergeGap || b.minY - a.maxY > mergeGap;
+      while (shapes.length > 1) {
+        const bounds = shapes.map(shape => pathBounds(shape.outer));
+        let best = null;
+        for (let i = 0; i < shapes.length; i++) {
+          for (let j = i + 1; j < shapes.length; j++) {
+            if (apart(bounds[i], bounds[j])) continue;
+            const approach = closestApproach(shapes[i].outer, shapes[j].outer);
+            if (approach.dist < mergeGap && (!best || approach.dist < best.approach.dist)) best = { i, j, approach };
+          }
+        }
+        if (!best) break;
+        const outer = bridgeOuters(shapes[best.i].outer, shapes[best.j].outer, best.approach, bridgeWidth);
+        if (!outer) break;
+        shapes[best.i] = { outer, holes: [...shapes[best.i].holes, ...shapes[best.j].holes] };
+        shapes.splice(best.j, 1);
+        entry.merged++;
+      }
+    }
+
+    if (entry.islands || entry.holes || entry.merged) report.push(entry);
+    return { ...part, shapes };
+  });
+
+  return { parts: cleaned, report };
+}
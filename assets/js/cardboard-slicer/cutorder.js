@@ -0,0 +1,255 @@
+/**
+ * Cardboard Slicer - cut order
+ *
+ * Orders a sheet's engraving and cut contours so the head travels as little as possible:
+ * a greedy nearest-neighbour tour improved with 2-opt. Engraving runs first, while every
+ * part is still held by the sheet. A contour is never cut before the contours inside it
+ * (holes before their outer, and a part nested in another part's hole before that hole),
+ * and every loop starts at the vertex nearest to where the head arrives from. A loop broken
+ * by holding tabs is cut as its runs in turn, starting with the run nearest the head.
+ *
+ * Sheet coordinates throughout, with the head starting and finishing at the machine's origin
+ * corner (`origin` as in the G-code machine profile), so every export is ordered for the same
+ * start point the G-code runs from.
+ */
+import { cutOrder, pathBounds, pointInPolygon } from './polygons.js';
+import { placePoint } from './nesting.js';
+
+// Part geometry mapped onto its sheet, holes before the outer of each shape. Outers with
+// holding tabs also carry `runs`, the open pieces actually cut between the tabs.
+export function placedPaths(part, placement) {
+  const place = path => path.map(p => placePoint(placement, p));
+  return part.shapes.flatMap(shape => cutOrder(shape).map(path => {
+    const isHole = path !== shape.outer;
+    const runs = !isHole && shape.runs ? shape.runs.map(place) : null;
+    return { path: place(path), isHole, runs };
+  }));
+}
+
+export function placedEngraving(part, placement) {
+  return (part.engrave || []).map(path => path.map(p => placePoint(placement, p)));
+}
+
+const MAX_SWEEPS = 20;
+const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+function nearestVertex(path, p) {
+  let best = 0, bestD = Infinity;
+  for (let i = 0; i < path.length; i++) {
+    const d = (path[i].x - p.x) ** 2 + (path[i].y - p.y) ** 2;
+    if (d < bestD) { best = i; bestD = d; }
+  }
+  return best;
+}
+
+const boundsDistance = (b, p) => Math.hypot(
+  Math.max(b.minX - p.x, 0, p.x - b.maxX),
+  Math.max(b.minY - p.y, 0, p.y - b.maxY)
+);
+
+// items: [{ path, closed, bounds, containers }] where containers lists the items that must
+// come later. Returns [{ item, start, reversed }] in run order.
+function tour(items, head) {
+  const n = items.length;
+  const pending = new Int32Array(n); // Contours still uncut inside each item
+  items.forEach(item => item.containers.forEach(c => pending[c]++));
+  const done = new Uint8Array(n);
+
+  // Nearest neighbour: closest available loop vertex or polyline end
+  const steps = [];
+  while (steps.length < n) {
+    let best = null;
+    for (let i = 0; i < n; i++) {
+      if (done[i] || pending[i]) continue;
+      const { path, closed, bounds } = items[i];
+      if (best && boundsDistance(bounds, head) >= best.d) continue;
+      if (closed) {
+        const start = nearestStart(items[i], head);
+        const d = dist(entryPoint(items, { item: i, start }), head);
+        if (!best || d < best.d) best = { item: i, start, reversed: false, d };
+      } else {
+        const dFirst = dist(path[0], head), dLast = dist(path[path.length - 1], head);
+        const d = Math.min(dFirst, dLast);
+        if (!best || d < best.d) best = { item: i, start: 0, reversed: dLast < dFirst, d };
+      }
+    }
+    done[best.item] = 1;
+    items[best.item].containers.forEach(c => pending[c]--);
+    steps.push(best);
+    head = exitPoint(items, best);
+  }
+  return steps;
+}
+
+// Start vertex of a loop, or the first run of a tabbed loop
+const nearestStart = ({ path, runs }, p) => (runs ? nearestVertex(runs.map(run => run[0]), p) : nearestVertex(path, p));
+
+function entryPoint(items, { item, start, reversed }) {
+  const { path, closed, runs } = items[item];
+  if (runs) return runs[start][0];
+  if (closed) return path[start];
+  return reversed ? path[path.length - 1] : path[0];
+}
+
+function exitPoint(items, { item, start, reversed }) {
+  const { path, closed, runs } = items[item];
+  if (runs) {
+    const last = runs[(start + runs.length - 1) % runs.length];
+    return last[last.length - 1];
+  }
+  if (closed) return path[start];
+  return reversed ? path[0] : path[path.length - 1];
+}
+
+// 2-opt: reverse a run of the tour (and each open polyline in it) when that shortens the
+// travel from `origin` through to `finish` (null when nothing follows). Loops broken by tabs
+// keep their cutting direction, so their entry and exit do not swap: the moves inside the run
+// are re-costed too, kept as running sums while the run grows. Runs holding both a contour and
+// one of its containers are skipped.
+function twoOpt(items, steps, origin, finish) {
+  const n = steps.length;
+  const pos = new Int32Array(items.length);
+  steps.forEach((step, k) => { pos[step.item] = k; });
+  const flip = step => ({ ...step, reversed: !step.reversed });
+
+  const reversible = (i, j) => {
+    for (let k = i; k <= j; k++) {
+      for (const c of items[steps[k].item].containers) {
+        if (pos[c] >= i && pos[c] <= j) return false;
+      }
+    }
+    return true;
+  };
+
+  for (let sweep = 0, improved = true; improved && sweep < MAX_SWEEPS; sweep++) {
+    improved = false;
+    for (let i = 0; i < n - 1; i++) {
+      const before = i === 0 ? origin : exitPoint(items, steps[i - 1]);
+      let oldInner = 0, newInner = 0; // Moves between the items of run i..j, as is and reversed
+      for (let j = i + 1; j < n; j++) {
+        oldInner += dist(exitPoint(items, steps[j - 1]), entryPoint(items, steps[j]));
+        newInner += dist(exitPoint(items, flip(steps[j])), entryPoint(items, flip(steps[j - 1])));
+        const after = j === n - 1 ? finish : entryPoint(items, steps[j + 1]);
+        const oldCost = dist(before, entryPoint(items, steps[i])) + oldInner +
+          (after ? dist(exitPoint(items, steps[j]), after) : 0);
+        const newCost = dist(before, entryPoint(items, flip(steps[j]))) + newInner +
+          (after ? dist(exitPoint(items, flip(steps[i])), after) : 0);
+        if (newCost >= oldCost - 1e-9 || !reversible(i, j)) continue;
+
+        const run = steps.slice(i, j + 1).reverse().map(flip);
+        run.forEach((step, k) => { steps[i + k] = step; pos[step.item] = i + k; });
+        improved = true;
+        // Run i..j now holds the reversed order, so its sums start over for the next j
+        oldInner = newInner;
+        newInner = 0;
+        for (let k = i + 1; k <= j; k++) {
+          newInner += dist(exitPoint(items, flip(steps[k])), entryPoint(items, flip(steps[k - 1])));
+        }
+      }
+    }
+  }
+}
+
+// Lays the steps out as ops. Closed loops run in their own direction; open polylines may run
+// either way. Returns { ops, head, travel }, travel counting the move on to `finish` if given.
+function emit(items, steps, head, finish) {
+  const ops = [];
+  let travel = 0;
+  const push = op => {
+    travel += dist(head, op.path[0]);
+    head = op.closed ? op.path[0] : op.path[op.path.length - 1];
+    ops.push(op);
+  };
+  steps.forEach((step, index) => {
+    const { path, closed, kind, isHole, runs } = items[step.item];
+    if (runs) {
+      // Re-picked now that the arrival point is final, weighing the move on to the next item too
+      const next = index + 1 < steps.length ? entryPoint(items, steps[index + 1]) : finish;
+      const cost = s => dist(head, entryPoint(items, { ...step, start: s })) +
+        (next ? dist(exitPoint(items, { ...step, start: s }), next) : 0);
+      let start = step.start;
+      for (let s = 0; s < runs.length; s++) if (cost(s) < cost(start)) start = s;
+      for (let k = 0; k < runs.length; k++) push({ kind, path: runs[(start + k) % runs.length], closed: false, isHole });
+    } else if (closed) {
+      const start = nearestVertex(path, head); // Re-picked now that the arrival point is final
+      push({ kind, path: start ? [...path.slice(start), ...path.slice(0, start)] : path, closed, isHole });
+    } else {
+      push({ kind, path: step.reversed ? [...path].reverse() : path, closed, isHole });
+    }
+  });
+  return { ops, head, travel: travel + (finish ? dist(head, finish) : 0) };
+}
+
+// Where the head starts and finishes on the sheet: 'bottom-left', 'top-left', 'top-right' or
+// 'bottom-right', in sheet coordinates
+export function originPoint(sheet, origin) {
+  return { x: origin.endsWith('right') ? sheet.width : 0, y: origin.startsWith('top') ? 0 : sheet.height };
+}
+
+export function travelLength(ops, home) {
+  let head = home, travel = 0;
+  for (const { path, closed } of ops) {
+    travel += dist(head, path[0]);
+    head = closed ? path[0] : path[path.length - 1];
+  }
+  return travel + dist(head, home);
+}
+
+// Every contour on the sheet in the order it was laid out, before any optimization
+function sheetContours(sheet, parts) {
+  const engrave = [], cut = [];
+  sheet.placements.forEach(placement => {
+    placedEngraving(parts[placement.part], placement).forEach(path => {
+      if (path.length >= 2) engrave.push({ kind: 'engrave', path, closed: false });
+    });
+  });
+  sheet.placements.forEach(placement => {
+    placedPaths(parts[placement.part], placement).forEach(({ path, isHole, runs }) => {
+      if (path.length >= 2) cut.push({ kind: 'cut', path, closed: true, isHole, runs });
+    });
+  });
+  return { engrave, cut };
+}
+
+// Returns { ops: [{ kind: 'engrave' | 'cut', path, closed, isHole }], travel, naiveTravel }
+// with travel distances in mm, including the trip back to the origin corner.
+export function planCuts(sheet, parts, origin = 'bottom-left') {
+  const home = originPoint(sheet, origin);
+  const { engrave, cut } = sheetContours(sheet, parts);
+  const naiveTravel = travelLength([
+    ...engrave,
+    ...cut.flatMap(item => (item.runs ? item.runs.map(run => ({ path: run, closed: false })) : [item]))
+  ], home);
+
+  const prepare = list => list.map(item => ({ ...item, bounds: pathBounds(item.path), containers: [] }));
+  const engraveItems = prepare(engrave);
+  const cutItems = prepare(cut);
+
+  // Containment between cut contours, from bounds first and one point-in-polygon test
+  cutItems.forEach((inner, i) => {
+    cutItems.forEach((outer, j) => {
+      if (i === j) return;
+      const a = inner.bounds, b = outer.bounds;
+      if (a.minX < b.minX || a.maxX > b.maxX || a.minY < b.minY || a.maxY > b.maxY) return;
+      if (pointInPolygon(inner.path[0], outer.path)) inner.containers.push(j);
+    });
+  });
+
+  const ops = [];
+  let head = home;
+  for (const items of [engraveItems, cutItems]) {
+    if (items.length === 0) continue;
+    // The trip home follows the cuts, or the engraving when there is nothing to cut
+    const finish = items === cutItems || cutItems.length === 0 ? home : null;
+    const greedy = tour(items, head);
+    const steps = [...greedy];
+    twoOpt(items, steps, head, finish);
+    // Loop starts are re-picked while laying out, which 2-opt cannot see, so the greedy tour
+    // is kept whenever it still comes out shorter
+    const [best] = [emit(items, steps, head, finish), emit(items, greedy, head, finish)]
+      .sort((a, b) => a.travel - b.travel);
+    ops.push(...best.ops);
+    head = best.head;
+  }
+  return { ops, travel: travelLength(ops, home), naiveTravel };
+}
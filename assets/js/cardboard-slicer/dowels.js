@@ -0,0 +1,127 @@
+/**
+ * Cardboard Slicer - alignment dowels for stacked layers
+ *
+ * Every layer is rasterized onto one shared grid. Consecutive layers are intersected for
+ * as long as the common area still has room for a dowel hole with a wall around it; each
+ * such run of layers gets its own set of dowels, placed as far from the edges and from
+ * each other as the common area allows. A break between runs means the two layers share
+ * no usable point, so the stack is only registered within each run.
+ *
+ * Planning and drilling are separate: the holes are only cut into the layers after cleanup
+ * and simplification, which would otherwise take a small hole for a scrap and drop it.
+ */
+import { pointInPolygon, shapesBounds, rasterizeShapes, distanceField } from './polygons.js';
+
+// Material kept around each dowel hole, in mm
+export const DOWEL_WALL = 1.5;
+const CIRCLE_SEGMENTS = 24;
+
+const maxOf = (dist) => dist.reduce((m, d) => (d > m ? d : m), 0);
+
+// Farthest-point picks among cells with enough clearance, starting from the deepest one
+function choosePoints(dist, grid, count, clearance, spacing) {
+  const { cols, res, ox, oy } = grid;
+  const candidates = [];
+  for (let i = 0; i < dist.length; i++) {
+    if (dist[i] * res >= clearance) candidates.push(i);
+  }
+  if (candidates.length === 0) return [];
+
+  const toPoint = i => ({ x: ox + ((i % cols) + 0.5) * res, y: oy + (Math.floor(i / cols) + 0.5) * res });
+  let deepest = candidates[0];
+  for (const i of candidates) if (dist[i] > dist[deepest]) deepest = i;
+
+  const points = [toPoint(deepest)];
+  while (points.length < count) {
+    let best = null, bestGap = 0;
+    for (const i of candidates) {
+      const p = toPoint(i);
+      const gap = Math.min(...points.map(q => Math.hypot(p.x - q.x, p.y - q.y)));
+      if (gap > bestGap) { best = p; bestGap = gap; }
+    }
+    if (!best || bestGap < spacing) break; // No room for another dowel that far apart
+    points.push(best);
+  }
+  return points;
+}
+
+export function circlePath(center, radius, clockwise = false) {
+  return Array.from({ length: CIRCLE_SEGMENTS }, (_, k) => {
+    const a = ((clockwise ? -k : k) / CIRCLE_SEGMENTS) * Math.PI * 2;
+    return { x: center.x + Math.cos(a) * radius, y: center.y + Math.sin(a) * radius };
+  });
+}
+
+// Adds the hole to whichever shape has material at the point
+function drillHole(shapes, center, radius) {
+  const shape = shapes.find(({ outer, holes }) =>
+    pointInPolygon(center, outer) && !holes.some(hole => pointInPolygon(center, hole)));
+  if (shape) shape.holes.push(circlePath(center, radius, true));
+}
+
+// layers: [{ shapes }] bottom to top. Returns the dowels ({ x, y, diameter, from, to } with
+// layer indices), the layer pairs no dowel could bridge and the layers too small to drill at all.
+export function planDowels(layers, { count, diameter }) {
+  const result = { dowels: [], breaks: [], undrilled: [] };
+  if (!count || !(diameter > 0) || layers.length === 0) return result;
+
+  const bounds = shapesBounds(layers.flatMap(layer => layer.shapes));
+  if (!Number.isFinite(bounds.minX)) return result;
+
+  // Keep the grid around 400 cells across; fine enough for skewer-sized holes on most models
+  const res = Math.max(0.2, Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) / 400);
+  const grid = {
+    res,
+    ox: bounds.minX - res,
+    oy: bounds.minY - res,
+    cols: Math.ceil((bounds.maxX - bounds.minX) / res) + 2,
+    rows: Math.ceil((bounds.maxY - bounds.minY) / res) + 2
+  };
+  const radius = diameter / 2;
+  const clearance = radius + DOWEL_WALL + res; // One extra cell covers the raster error
+  const fits = dist => maxOf(dist) * res >= clearance;
+
+  const masks = layers.map(layer => rasterizeShapes(layer.shapes, grid));
+  let from = 0;
+  while (from < layers.length) {
+    let common = masks[from];
+    let dist = distanceField(common, grid.cols, grid.rows);
+    let to = from;
+
+    // Layers too small for any hole (a tapering tip, say) are left undrilled
+    if (!fits(dist)) {
+      result.undrilled.push(from);
+      from++;
+      continue;
+    }
+
+    while (to + 1 < layers.length) {
+      const next = common.map((v, i) => v & masks[to + 1][i]);
+      const nextDist = distanceField(next, grid.cols, grid.rows);
+      if (!fits(nextDist)) break;
+      common = next;
+      dist = nextDist;
+      to++;
+    }
+
+    // A dowel through a single layer aligns nothing
+    const points = to > from ? choosePoints(dist, grid, count, clearance, diameter + DOWEL_WALL * 2) : [];
+    if (points.length === 0) result.undrilled.push(from);
+    for (const p of points) result.dowels.push({ x: p.x, y: p.y, diameter, from, to });
+    if (to + 1 < layers.length) result.breaks.push([to, to + 1]);
+    from = to + 1;
+  }
+  return result;
+}
+
+// Copies of the layers with each dowel's hole drilled through its run of layers
+export function drillDowels(layers, dowels) {
+  if (dowels.length === 0) return layers;
+  return layers.map((layer, i) => {
+    const through = dowels.filter(({ from, to }) => from <= i && i <= to);
+    if (through.length === 0) return layer;
+    const shapes = layer.shapes.map(({ outer, holes }) => ({ outer, holes: [...holes] }));
+    through.forEach(({ x, y, diameter }) => drillHole(shapes, { x, y }, diameter / 2));
+    return { ...layer, shapes };
+  });
+}
@@ -0,0 +1,100 @@
+/**
+ * Cardboard Slicer - sheet exporters
+ *
+ * Every exporter works on one nested sheet at a time ({ width, height, placements }) in
+ * millimetres, with sheet Y pointing down from the top-left corner. Cut and engrave geometry
+ * are kept apart (colours in SVG, layers in DXF) so laser software can give each its own
+ * operation; parts may carry `engrave`, a list of open polylines in part space. Paths are
+ * written in the travel-optimized order from planCuts(), starting from the machine's `origin`
+ * corner like the G-code.
+ */
+import { planCuts } from './cutorder.js';
+
+// --- SVG ---
+// Stroke colours double as operation layers in LightBurn and similar tools
+export const SVG_COLORS = { cut: '#000000', engrave: '#0000ff' };
+
+const svgPathData = (path, closed) => {
+  let d = `M ${path[0].x} ${path[0].y} `;
+  for(let i=1; i<path.length; i++) {
+    d += `L ${path[i].x} ${path[i].y} `;
+  }
+  return closed ? d + "Z" : d.trim();
+};
+
+export function sheetToSVG(sheet, parts, origin) {
+  const { ops } = planCuts(sheet, parts, origin);
+  let svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${sheet.width} ${sheet.height}" width="${sheet.width}mm" height="${sheet.height}mm">\n`;
+
+  // Engraving (placement guides and single-stroke labels) comes first so it is done while
+  // every part is still held by the sheet
+  svg += `<g id="engrave" fill="none" stroke="${SVG_COLORS.engrave}" stroke-width="0.1">\n`;
+  ops.filter(op => op.kind === 'engrave').forEach(({ path }) => {
+    svg += `<path d="${svgPathData(path, false)}" />\n`;
+  });
+  svg += `</g>\n`;
+
+  // Every contour is emitted after the ones inside it, so holes are cut before their outer;
+  // outers with holding tabs are open paths that stop short of each tab
+  svg += `<g id="cut" fill="none" stroke="${SVG_COLORS.cut}" stroke-width="0.1">\n`;
+  ops.filter(op => op.kind === 'cut').forEach(({ path, closed, isHole }) => {
+    svg += `<path class="${isHole ? 'hole' : 'outer'}" d="${svgPathData(path, closed)}" />\n`;
+  });
+  svg += `</g>\n`;
+
+  svg += `</svg>`;
+  return svg;
+}
+
+// --- DXF ---
+// AutoCAD R12 (AC1009) text DXF in millimetres: the plainest form every CAD/CAM reader takes,
+// with no handles, blocks or objects to keep consistent. Closed POLYLINEs go on a CUT layer
+// and open ones (guides and stroked labels) on an ENGRAVE layer, so CAD/CAM tools can assign
+// separate operations.
+export const DXF_LAYERS = { cut: 'CUT', engrave: 'ENGRAVE' };
+
+export function sheetToDXF(sheet, parts, origin) {
+  const out = [];
+  const pair = (code, value) => out.push(String(code), String(value));
+  const num = (v) => (Math.abs(v) < 1e-9 ? 0 : Number(v.toFixed(4)));
+
+  // DXF Y grows upwards, sheet Y grows downwards
+  const flipY = (y) => sheet.height - y;
+
+  pair(0, 'SECTION'); pair(2, 'HEADER');
+  pair(9, '$ACADVER'); pair(1, 'AC1009');
+  pair(9, '$INSUNITS'); pair(70, 4); // Millimetres; older readers skip variables they do not know
+  pair(9, '$EXTMIN'); pair(10, 0); pair(20, 0); pair(30, 0);
+  pair(9, '$EXTMAX'); pair(10, num(sheet.width)); pair(20, num(sheet.height)); pair(30, 0);
+  pair(0, 'ENDSEC');
+
+  pair(0, 'SECTION'); pair(2, 'TABLES');
+  pair(0, 'TABLE'); pair(2, 'LTYPE'); pair(70, 1);
+  pair(0, 'LTYPE'); pair(2, 'CONTINUOUS'); pair(70, 0); pair(3, 'Solid line'); pair(72, 65); pair(73, 0); pair(40, 0);
+  pair(0, 'ENDTAB');
+  pair(0, 'TABLE'); pair(2, 'LAYER'); pair(70, 3);
+  [['0', 7], [DXF_LAYERS.cut, 7], [DXF_LAYERS.engrave, 5]].forEach(([name, color]) => {
+    pair(0, 'LAYER'); pair(2, name); pair(70, 0); pair(62, color); pair(6, 'CONTINUOUS');
+  });
+  pair(0, 'ENDTAB');
+  pair(0, 'ENDSEC');
+
+  const polyline = (path, layer, closed) => {
+    pair(0, 'POLYLINE'); pair(8, layer); pair(66, 1);
+    pair(10, 0); pair(20, 0); pair(30, 0); pair(70, closed ? 1 : 0);
+    path.forEach(p => {
+      pair(0, 'VERTEX'); pair(8, layer);
+      pair(10, num(p.x)); pair(20, num(flipY(p.y))); pair(30, 0);
+    });
+    pair(0, 'SEQEND'); pair(8, layer);
+  };
+
+  pair(0, 'SECTION'); pair(2, 'ENTITIES');
+  planCuts(sheet, parts, origin).ops.forEach(({ kind, path, closed }) => {
+    polyline(path, kind === 'cut' ? DXF_LAYERS.cut : DXF_LAYERS.engrave, closed);
+  });
+  pair(0, 'ENDSEC');
+  pair(0, 'EOF');
+
+  return out.join('\n') + '\n';
+}
@@ -0,0 +1,118 @@
+/**
+ * Cardboard Slicer - G-code for GRBL lasers and drag knives
+ *
+ * A sheet is first planned into operations ({ kind: 'engrave' | 'cut', path, closed } in
+ * machine millimetres, in run order, passes already repeated); the G-code writer and the
+ * toolpath player both work from that plan, so what plays back is what gets written.
+ *
+ * The sheet sits in the bed's origin corner. Machine X grows to the right and Y grows
+ * away from the operator, so corners other than bottom-left give negative coordinates.
+ * Feeds are in mm/min as G-code expects.
+ */
+import { planCuts } from './cutorder.js';
+
+export const DEFAULT_MACHINE = {
+  tool: 'laser', // 'laser' or 'knife'
+  bedWidth: 600,
+  bedHeight: 400,
+  origin: 'bottom-left', // 'bottom-left', 'top-left', 'top-right' or 'bottom-right'
+  cutFeed: 1200,
+  engraveFeed: 6000,
+  travelFeed: 6000,
+  cutPower: 1000, // Laser S value
+  engravePower: 300,
+  passes: 1,
+  zSafe: 5, // Knife heights
+  zScore: -0.5,
+  zCut: -4,
+  plungeFeed: 300
+};
+
+export const ORIGINS = ['bottom-left', 'top-left', 'top-right', 'bottom-right'];
+
+function toMachine(sheet, origin) {
+  const fromRight = origin.endsWith('right'), fromTop = origin.startsWith('top');
+  return p => ({
+    x: fromRight ? p.x - sheet.width : p.x,
+    y: fromTop ? -p.y : sheet.height - p.y
+  });
+}
+
+export function sheetFitsBed(sheet, machine) {
+  return sheet.width <= machine.bedWidth && sheet.height <= machine.bedHeight;
+}
+
+// Follows the planCuts() order (`plan`, if the caller already has it); every cut path is
+// repeated `passes` times before moving on so a part never drops out between passes
+export function planSheet(sheet, parts, machine, plan = planCuts(sheet, parts, machine.origin)) {
+  const map = toMachine(sheet, machine.origin);
+  return plan.ops.flatMap(({ kind, path, closed }) => {
+    const mapped = path.map(map);
+    const repeats = kind === 'cut' ? Math.max(1, machine.passes) : 1;
+    return Array.from({ length: repeats }, () => ({ kind, path: mapped, closed }));
+  });
+}
+
+const fmt = v => Number(v.toFixed(3)).toString();
+const xy = p => `X${fmt(p.x)} Y${fmt(p.y)}`;
+
+export function planToGCode(ops, machine, title = '') {
+  const knife = machine.tool === 'knife';
+  const out = [];
+  out.push(`; ${title || 'Cardboard Slicer'}`);
+  out.push(`; ${knife ? 'Drag knife' : 'Laser'}, origin ${machine.origin}, ${ops.length} operations`);
+  out.push('G21 ; millimetres');
+  out.push('G90 ; absolute positioning');
+  if (knife) out.push(`G0 Z${fmt(machine.zSafe)}`);
+  else {
+    out.push('; GRBL laser mode ($32=1) recommended; travel moves also set S0 so the beam stays off without it');
+    out.push('M4 S0 ; dynamic laser power, off while moving');
+  }
+
+  ops.forEach(({ kind, path, closed }) => {
+    const feed = kind === 'cut' ? machine.cutFeed : machine.engraveFeed;
+    const points = closed ? [...path.slice(1), path[0]] : path.slice(1);
+    out.push(`; ${kind}`);
+    out.push(`G0 ${xy(path[0])}${knife ? '' : ' S0'} F${fmt(machine.travelFeed)}`);
+    if (knife) {
+      out.push(`G1 Z${fmt(kind === 'cut' ? machine.zCut : machine.zScore)} F${fmt(machine.plungeFeed)}`);
+      out.push(`G1 ${xy(points[0])} F${fmt(feed)}`);
+    } else {
+      out.push(`G1 ${xy(points[0])} S${fmt(kind === 'cut' ? machine.cutPower : machine.engravePower)} F${fmt(feed)}`);
+    }
+    for (let i = 1; i < points.length; i++) out.push(`G1 ${xy(points[i])}`);
+    if (knife) out.push(`G0 Z${fmt(machine.zSafe)}`);
+  });
+
+  if (!knife) out.push('M5 S0 ; laser off');
+  out.push('G0 X0 Y0');
+  out.push('M2');
+  return out.join('\n') + '\n';
+}
+
+// Timed segments for playback: { kind: 'travel' | 'engrave' | 'cut', from, to, start, duration }
+// with times in seconds, starting and ending at the machine origin. A knife's plunge and lift
+// are travel segments that stay in place. The total is also the job summary's time estimate.
+export function planTimeline(ops, machine) {
+  const knife = machine.tool === 'knife';
+  const segments = [];
+  let head = { x: 0, y: 0 }, time = 0;
+  const push = (kind, to, duration) => {
+    if (duration > 0) segments.push({ kind, from: head, to, start: time, duration });
+    time += duration;
+    head = to;
+  };
+  const add = (kind, to, feed) => push(kind, to, (Math.hypot(to.x - head.x, to.y - head.y) / feed) * 60);
+  const moveZ = (depth, feed) => push('travel', head, (Math.abs(machine.zSafe - depth) / feed) * 60);
+  ops.forEach(({ kind, path, closed }) => {
+    const feed = kind === 'cut' ? machine.cutFeed : machine.engraveFeed;
+    const depth = kind === 'cut' ? machine.zCut : machine.zScore;
+    add('travel', path[0], machine.travelFeed);
+    if (knife) moveZ(depth, machine.plungeFeed);
+    for (let i = 1; i < path.length; i++) add(kind, path[i], feed);
+    if (closed) add(kind, path[0], feed);
+    if (knife) moveZ(depth, machine.travelFeed);
+  });
+  add('travel', { x: 0, y: 0 }, machine.travelFeed);
+  return { segments, duration: time };
+}
@@ -0,0 +1,389 @@
+/**
+ * Cardboard Slicer - geometry math and slicing
+ */
+import { Euler, Matrix4, Quaternion, Vector3 } from 'three';
+
+// --- Orientation ---
+// Slicing always happens along Z; choosing another axis rotates that axis onto Z with a
+// cyclic permutation so the model is never mirrored.
+const AXIS_TO_Z = {
+  x: v => ({ x: v.y, y: v.z, z: v.x }),
+  y: v => ({ x: v.z, y: v.x, z: v.y }),
+  z: v => v
+};
+
+export const DEFAULT_ORIENTATION = { axis: 'z', rotation: { x: 0, y: 0, z: 0 } };
+
+// rotation is in degrees, applied in XYZ order before the slicing axis is mapped to Z
+export function orientTriangles(triangles, { axis = 'z', rotation = DEFAULT_ORIENTATION.rotation } = {}) {
+  const toRad = deg => (deg * Math.PI) / 180;
+  const matrix = new Matrix4().makeRotationFromEuler(
+    new Euler(toRad(rotation.x), toRad(rotation.y), toRad(rotation.z), 'XYZ')
+  );
+  const remap = AXIS_TO_Z[axis] || AXIS_TO_Z.z;
+  const e = matrix.elements; // column-major
+  const rotate = v => ({
+    x: e[0] * v.x + e[4] * v.y + e[8] * v.z,
+    y: e[1] * v.x + e[5] * v.y + e[9] * v.z,
+    z: e[2] * v.x + e[6] * v.y + e[10] * v.z
+  });
+  return triangles.map(tri => tri.map(v => remap(rotate(v))));
+}
+
+// Groups coplanar triangles (same normal, same plane offset) and returns the rotation, in
+// degrees, that puts the largest planar face flat on the bed facing down.
+export function findLayFlatRotation(triangles) {
+  let extent = 0;
+  for (const tri of triangles) {
+    for (const v of tri) extent = Math.max(extent, Math.abs(v.x), Math.abs(v.y), Math.abs(v.z));
+  }
+  const offsetStep = Math.max(extent * 1e-3, 1e-9);
+
+  const faces = new Map();
+  const a = new Vector3(), b = new Vector3(), c = new Vector3();
+  for (const tri of triangles) {
+    a.set(tri[0].x, tri[0].y, tri[0].z);
+    b.set(tri[1].x, tri[1].y, tri[1].z).sub(a);
+    c.set(tri[2].x, tri[2].y, tri[2].z).sub(a);
+    const normal = b.cross(c);
+    const doubleArea = normal.length();
+    if (doubleArea === 0) continue;
+    normal.divideScalar(doubleArea);
+
+    const key = [
+      Math.round(normal.x * 100), Math.round(normal.y * 100), Math.round(normal.z * 100),
+      Math.round(normal.dot(a) / offsetStep)
+    ].join(',');
+    const face = faces.get(key);
+    if (face) {
+      face.area += doubleArea;
+      face.normal.addScaledVector(normal, doubleArea);
+    } else {
+      faces.set(key, { area: doubleArea, normal: normal.clone().multiplyScalar(doubleArea) });
+    }
+  }
+
+  let best = null;
+  for (const face of faces.values()) {
+    if (!best || face.area > best.area) best = face;
+  }
+  if (!best) return { ...DEFAULT_ORIENTATION.rotation };
+
+  const quat = new Quaternion().setFromUnitVectors(best.normal.normalize(), new Vector3(0, 0, -1));
+  const euler = new Euler().setFromQuaternion(quat, 'XYZ');
+  const toDeg = rad => Math.round((rad * 180 / Math.PI) * 100) / 100;
+  return { x: toDeg(euler.x), y: toDeg(euler.y), z: toDeg(euler.z) };
+}
+
+// --- Scaling ---
+// 'size' locks one dimension of the oriented model to `size` mm, 'factor' scales the source
+// units by `factor`, and 'fit' picks the largest scale whose biggest slice still fits a sheet
+// (resolved to a factor with fitScale() before normalizing).
+export const DEFAULT_SCALING = { mode: 'size', axis: 'z', size: 100, factor: 1 };
+
+const SECTION_PLANE = {
+  x: { along: 'y', across: 'z' },
+  y: { along: 'x', across: 'z' },
+  z: { along: 'x', across: 'y' }
+};
+
+// Bounds { w, h } of `samples` evenly spaced cross-sections perpendicular to `axis`, taken
+// from where each section plane crosses the triangle edges
+export function sectionExtents(triangles, axis, samples = 200) {
+  const { along, across } = SECTION_PLANE[axis];
+  let min = Infinity, max = -Infinity;
+  for (const tri of triangles) {
+    for (const v of tri) {
+      if (v[axis] < min) min = v[axis];
+      if (v[axis] > max) max = v[axis];
+    }
+  }
+  const step = (max - min) / samples;
+  if (!(step > 0)) return [];
+
+  const boxes = Array.from({ length: samples }, () => ({ minU: Infinity, maxU: -Infinity, minV: Infinity, maxV: -Infinity }));
+  const addPoint = (k, u, v) => {
+    const box = boxes[k];
+    if (u < box.minU) box.minU = u;
+    if (u > box.maxU) box.maxU = u;
+    if (v < box.minV) box.minV = v;
+    if (v > box.maxV) box.maxV = v;
+  };
+
+  for (const tri of triangles) {
+    const lo = Math.min(tri[0][axis], tri[1][axis], tri[2][axis]);
+    const hi = Math.max(tri[0][axis], tri[1][axis], tri[2][axis]);
+    const first = Math.max(0, Math.ceil((lo - min) / step - 0.5));
+    const last = Math.min(samples - 1, Math.floor((hi - min) / step - 0.5));
+    for (let k = first; k <= last; k++) {
+      const plane = min + (k + 0.5) * step;
+      for (let e = 0; e < 3; e++) {
+        const a = tri[e], b = tri[(e + 1) % 3];
+        if ((a[axis] - plane) * (b[axis] - plane) > 0 || a[axis] === b[axis]) continue;
+        const t = (plane - a[axis]) / (b[axis] - a[axis]);
+        addPoint(k, a[along] + (b[along] - a[along]) * t, a[across] + (b[across] - a[across]) * t);
+      }
+    }
+  }
+
+  return boxes.filter(box => box.maxU >= box.minU).map(box => ({ w: box.maxU - box.minU, h: box.maxV - box.minV }));
+}
+
+// Largest factor at which every section along `axes` fits a width x height area, turning
+// sections a quarter turn when allowRotation is set. The area is the sheet's capacity, with the
+// nesting gap and kerf already taken off (see sheetCapacity)
+export function fitScale(triangles, { width, height, allowRotation, axes = ['z'] }) {
+  const ratio = (room, size) => (size > 0 ? room / size : Infinity);
+  let scale = Infinity;
+  for (const axis of axes) {
+    for (const { w, h } of sectionExtents(triangles, axis)) {
+      const upright = Math.min(ratio(width, w), ratio(height, h));
+      const turned = allowRotation ? Math.min(ratio(width, h), ratio(height, w)) : 0;
+      scale = Math.min(scale, Math.max(upright, turned));
+    }
+  }
+  if (!(width > 0 && height > 0) || !Number.isFinite(scale)) throw new Error("The model cannot be fitted to this sheet");
+  return scale;
+}
+
+// --- Geometry Math & Slicing ---
+// Centres the model on X/Y, puts its base at Z = 0 and applies the scaling
+export function normalizeTriangles(triangles, scaling = DEFAULT_SCALING) {
+  let minZ = Infinity, maxZ = -Infinity;
+  let minX = Infinity, maxX = -Infinity;
+  let minY = Infinity, maxY = -Infinity;
+
+  for (const tri of triangles) {
+    for (const v of tri) {
+      if (v.z < minZ) minZ = v.z;
+      if (v.z > maxZ) maxZ = v.z;
+      if (v.x < minX) minX = v.x;
+      if (v.x > maxX) maxX = v.x;
+      if (v.y < minY) minY = v.y;
+      if (v.y > maxY) maxY = v.y;
+    }
+  }
+
+  const raw = { x: maxX - minX, y: maxY - minY, z: maxZ - minZ };
+  const scale = scaling.mode === 'factor' ? scaling.factor : scaling.size / raw[scaling.axis];
+  if (!(scale > 0) || !Number.isFinite(scale)) {
+    throw new Error(scaling.mode === 'factor' ? "Scale factor must be above zero" : `The model has no ${scaling.axis.toUpperCase()} extent to scale by`);
+  }
+
+  const cX = (minX + maxX) / 2;
+  const cY = (minY + maxY) / 2;
+  const cZ = minZ;
+
+  const scaledTriangles = triangles.map(tri =>
+    tri.map(v => ({
+      x: (v.x - cX) * scale,
+      y: (v.y - cY) * scale,
+      z: (v.z - cZ) * scale
+    }))
+  );
+
+  return {
+    triangles: scaledTriangles,
+    scale,
+    width: raw.x * scale,
+    length: raw.y * scale,
+    height: raw.z * scale
+  };
+}
+
+export function intersectTriangleZ(v1, v2, v3, z) {
+  const pts = [v1, v2, v3].sort((a, b) => a.z - b.z);
+  if (z < pts[0].z || z > pts[2].z) return null;
+  if (z === pts[0].z && z === pts[2].z) return null;
+
+  const interpolate = (pA, pB, zTarget) => {
+    if (pB.z === pA.z) return { x: pA.x, y: pA.y };
+    const t = (zTarget - pA.z) / (pB.z - pA.z);
+    return {
+      x: pA.x + t * (pB.x - pA.x),
+      y: pA.y + t * (pB.y - pA.y)
+    };
+  };
+
+  const p1 = interpolate(pts[0], pts[2], z);
+  let p2 = z <= pts[1].z ? interpolate(pts[0], pts[1], z) : interpolate(pts[1], pts[2], z);
+
+  if (Math.abs(p1.x - p2.x) < 1e-5 && Math.abs(p1.y - p2.y) < 1e-5) return null;
+  return { p1, p2 };
+}
+
+// Endpoints closer than this (squared distance) are considered the same point
+const EPSILON = 1e-5;
+const CELL_SIZE = Math.sqrt(EPSILON);
+
+// Segments are chained through a hash grid of their endpoints, quantized so that any
+// endpoint within tolerance of a query point lives in one of the 3x3 neighbouring cells.
+// Each lookup is O(1), so a layer assembles in linear time instead of rescanning every
+// remaining segment per step.
+export function connectSegments(segments) {
+  const getDistSq = (pA, pB) => (pA.x - pB.x) ** 2 + (pA.y - pB.y) ** 2;
+
+  // Grid entries encode segment index and endpoint as idx * 2 + end. Buckets are linked
+  // lists threaded through typed arrays; unrelated cells sharing a slot is harmless
+  // because every candidate is distance-checked anyway.
+  let tableSize = 16;
+  while (tableSize < segments.length * 4) tableSize *= 2;
+  const mask = tableSize - 1;
+  const bucketHead = new Int32Array(tableSize).fill(-1);
+  const nextEntry = new Int32Array(segments.length * 2);
+  const slotOf = (ix, iy) => ((ix * 73856093) ^ (iy * 19349663)) & mask;
+
+  segments.forEach((seg, idx) => {
+    for (let end = 0; end < 2; end++) {
+      const p = end ? seg.p2 : seg.p1;
+      const slot = slotOf(Math.floor(p.x / CELL_SIZE), Math.floor(p.y / CELL_SIZE));
+      const entry = idx * 2 + end;
+      nextEntry[entry] = bucketHead[slot];
+      bucketHead[slot] = entry;
+    }
+  });
+
+  const used = new Uint8Array(segments.length);
+
+  // Returns the far end of an unused segment touching p, consuming that segment
+  const takeNeighbour = (p) => {
+    const ix = Math.floor(p.x / CELL_SIZE);
+    const iy = Math.floor(p.y / CELL_SIZE);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let entry = bucketHead[slotOf(ix + dx, iy + dy)]; entry !== -1; entry = nextEntry[entry]) {
+          const idx = entry >> 1;
+          if (used[idx]) continue;
+          const seg = segments[idx];
+          const near = entry & 1 ? seg.p2 : seg.p1;
+          if (getDistSq(near, p) < EPSILON) {
+            used[idx] = 1;
+            return entry & 1 ? seg.p1 : seg.p2;
+          }
+        }
+      }
+    }
+    return null;
+  };
+
+  const paths = [];
+  for (let start = segments.length - 1; start >= 0; start--) {
+    if (used[start]) continue;
+    used[start] = 1;
+    const tailPath = [segments[start].p1, segments[start].p2];
+    const headPath = [];
+
+    let next;
+    while ((next = takeNeighbour(tailPath[tailPath.length - 1]))) tailPath.push(next);
+    while ((next = takeNeighbour(headPath.length ? headPath[headPath.length - 1] : tailPath[0]))) headPath.push(next);
+    const currentPath = headPath.reverse().concat(tailPath);
+
+    // Close the loop if head meets tail
+    if (currentPath.length > 2 && getDistSq(currentPath[0], currentPath[currentPath.length - 1]) < EPSILON) {
+      currentPath.pop();
+    }
+    paths.push(currentPath);
+  }
+  return paths;
+}
+
+// --- Z-Interval Index ---
+// Built once per normalized model: triangles sorted by their lowest Z so a sweep over
+// increasing layer heights only ever touches triangles that span the current plane.
+export function buildZIndex(triangles) {
+  const count = triangles.length;
+  const minZ = new Float64Array(count);
+  const maxZ = new Float64Array(count);
+  triangles.forEach((tri, i) => {
+    minZ[i] = Math.min(tri[0].z, tri[1].z, tri[2].z);
+    maxZ[i] = Math.max(tri[0].z, tri[1].z, tri[2].z);
+  });
+  const order = new Uint32Array(count);
+  for (let i = 0; i < count; i++) order[i] = i;
+  order.sort((a, b) => minZ[a] - minZ[b]);
+  return { order, minZ, maxZ };
+}
+
+// Returns a lookup for the triangles spanning z. Calls are cheapest with increasing z:
+// each triangle enters the active list once and is dropped once the sweep passes it.
+export function createZSweep({ order, minZ, maxZ }) {
+  let next = 0;
+  let lastZ = -Infinity;
+  let active = [];
+
+  return (z) => {
+    if (z < lastZ) { next = 0; active = []; } // Moving down restarts the sweep
+    lastZ = z;
+    while (next < order.length && minZ[order[next]] <= z) active.push(order[next++]);
+    active = active.filter(i => maxZ[i] >= z);
+    return active;
+  };
+}
+
+// candidates: optional triangle indices (e.g. from a Z sweep); defaults to every triangle
+export function sliceLayer(triangles, z, candidates) {
+  const segments = [];
+  const count = candidates ? candidates.length : triangles.length;
+  for (let i = 0; i < count; i++) {
+    const tri = triangles[candidates ? candidates[i] : i];
+    const seg = intersectTriangleZ(tri[0], tri[1], tri[2], z);
+    if (seg) segments.push(seg);
+  }
+  return connectSegments(segments);
+}
+
+// --- Transfer Packing ---
+// Flat typed arrays can be handed between the worker and the page without copying.
+export function trianglesToPositions(triangles) {
+  const positions = new Float32Array(triangles.length * 9);
+  let i = 0;
+  for (const tri of triangles) {
+    for (const v of tri) { positions[i++] = v.x; positions[i++] = v.y; positions[i++] = v.z; }
+  }
+  return positions;
+}
+
+export function packPaths(paths) {
+  let pointCount = 0;
+  for (const path of paths) pointCount += path.length;
+  const coords = new Float64Array(pointCount * 2);
+  const offsets = new Uint32Array(paths.length + 1);
+  let i = 0;
+  paths.forEach((path, idx) => {
+    offsets[idx] = i / 2;
+    for (const p of path) { coords[i++] = p.x; coords[i++] = p.y; }
+  });
+  offsets[paths.length] = pointCount;
+  return { coords, offsets };
+}
+
+export function unpackPaths({ coords, offsets }) {
+  const paths = [];
+  for (let p = 0; p < offsets.length - 1; p++) {
+    const path = [];
+    for (let j = offsets[p]; j < offsets[p + 1]; j++) {
+      path.push({ x: coords[j * 2], y: coords[j * 2 + 1] });
+    }
+    paths.push(path);
+  }
+  return paths;
+}
+
+// Shapes travel as flat paths (outer first, then its holes) plus the index of each outer
+export function packShapes(shapes) {
+  const paths = [];
+  const shapeStarts = new Uint32Array(shapes.length);
+  shapes.forEach((shape, idx) => {
+    shapeStarts[idx] = paths.length;
+    paths.push(shape.outer, ...shape.holes);
+  });
+  return { ...packPaths(paths), shapeStarts };
+}
+
+export function unpackShapes({ coords, offsets, shapeStarts }) {
+  const paths = unpackPaths({ coords, offsets });
+  return Array.from(shapeStarts, (start, idx) => {
+    const end = idx + 1 < shapeStarts.length ? shapeStarts[idx + 1] : paths.length;
+    return { outer: paths[start], holes: paths.slice(start + 1, end) };
+  });
+}
@@ -0,0 +1,184 @@
+/**
+ * Cardboard Slicer - single-stroke part labels
+ *
+ * Labels are drawn with a small Hershey-style stroke font, so lasers engrave them as one
+ * pass along each line instead of cutting out glyph outlines. Each label is sized to the
+ * largest text box that fits inside the part's material and placed as close to the middle
+ * of the part as it can go; the strokes are added to the part's `engrave` polylines.
+ */
+import { rasterizeShapes, shapesBounds } from './polygons.js';
+
+// Glyphs on a 6 unit cap height: [advance width, strokes as flat x, y lists]
+const CAP_HEIGHT = 6;
+const LETTER_SPACING = 1.5;
+const O_STROKE = [1, 0, 0, 1, 0, 5, 1, 6, 3, 6, 4, 5, 4, 1, 3, 0, 1, 0];
+const P_STROKE = [0, 0, 0, 6, 3, 6, 4, 5, 4, 4, 3, 3, 0, 3];
+const GLYPHS = {
+  'A': [4, [[0, 0, 2, 6, 4, 0], [0.67, 2, 3.33, 2]]],
+  'B': [4, [[0, 0, 0, 6, 3, 6, 4, 5, 4, 4, 3, 3, 0, 3], [3, 3, 4, 2, 4, 1, 3, 0, 0, 0]]],
+  'C': [4, [[4, 5, 3, 6, 1, 6, 0, 5, 0, 1, 1, 0, 3, 0, 4, 1]]],
+  'D': [4, [[0, 0, 0, 6, 2.5, 6, 4, 4.5, 4, 1.5, 2.5, 0, 0, 0]]],
+  'E': [4, [[4, 6, 0, 6, 0, 0, 4, 0], [0, 3, 3, 3]]],
+  'F': [4, [[4, 6, 0, 6, 0, 0], [0, 3, 3, 3]]],
+  'G': [4, [[4, 5, 3, 6, 1, 6, 0, 5, 0, 1, 1, 0, 3, 0, 4, 1, 4, 3, 2, 3]]],
+  'H': [4, [[0, 0, 0, 6], [4, 0, 4, 6], [0, 3, 4, 3]]],
+  'I': [2, [[0, 6, 2, 6], [1, 6, 1, 0], [0, 0, 2, 0]]],
+  'J': [4, [[4, 6, 4, 1, 3, 0, 1, 0, 0, 1]]],
+  'K': [4, [[0, 0, 0, 6], [4, 6, 0, 2], [1.5, 3.5, 4, 0]]],
+  'L': [4, [[0, 6, 0, 0, 4, 0]]],
+  'M': [4, [[0, 0, 0, 6, 2, 3, 4, 6, 4, 0]]],
+  'N': [4, [[0, 0, 0, 6, 4, 0, 4, 6]]],
+  'O': [4, [O_STROKE]],
+  'P': [4, [P_STROKE]],
+  'Q': [4, [O_STROKE, [2.5, 1.5, 4, 0]]],
+  'R': [4, [P_STROKE, [2, 3, 4, 0]]],
+  'S': [4, [[4, 5, 3, 6, 1, 6, 0, 5, 0, 4, 1, 3, 3, 3, 4, 2, 4, 1, 3, 0, 1, 0, 0, 1]]],
+  'T': [4, [[0, 6, 4, 6], [2, 6, 2, 0]]],
+  'U': [4, [[0, 6, 0, 1, 1, 0, 3, 0, 4, 1, 4, 6]]],
+  'V': [4, [[0, 6, 2, 0, 4, 6]]],
+  'W': [4, [[0, 6, 1, 0, 2, 4, 3, 0, 4, 6]]],
+  'X': [4, [[0, 0, 4, 6], [0, 6, 4, 0]]],
+  'Y': [4, [[0, 6, 2, 3, 4, 6], [2, 3, 2, 0]]],
+  'Z': [4, [[0, 6, 4, 6, 0, 0, 4, 0]]],
+  '0': [4, [O_STROKE, [0.5, 1, 3.5, 5]]],
+  '1': [4, [[1, 5, 2, 6, 2, 0], [1, 0, 3, 0]]],
+  '2': [4, [[0, 5, 1, 6, 3, 6, 4, 5, 4, 4, 0, 0, 4, 0]]],
+  '3': [4, [[0, 5, 1, 6, 3, 6, 4, 5, 4, 4, 3, 3, 4, 2, 4, 1, 3, 0, 1, 0, 0, 1], [1.5, 3, 3, 3]]],
+  '4': [4, [[3, 0, 3, 6, 0, 2, 4, 2]]],
+  '5': [4, [[4, 6, 0, 6, 0, 3.5, 3, 3.5, 4, 2.5, 4, 1, 3, 0, 1, 0, 0, 1]]],
+  '6': [4, [[3.5, 6, 2, 6, 0, 4, 0, 1, 1, 0, 3, 0, 4, 1, 4, 2.5, 3, 3.5, 1, 3.5, 0, 2.5]]],
+  '7': [4, [[0, 6, 4, 6, 1.5, 0]]],
+  '8': [4, [[1, 3, 0, 4, 0, 5, 1, 6, 3, 6, 4, 5, 4, 4, 3, 3, 1, 3, 0, 2, 0, 1, 1, 0, 3, 0, 4, 1, 4, 2, 3, 3]]],
+  '9': [4, [[4, 3.5, 3, 2.5, 1, 2.5, 0, 3.5, 0, 5, 1, 6, 3, 6, 4, 5, 4, 2, 2, 0, 0.5, 0]]],
+  '-': [3, [[0, 3, 3, 3]]],
+  '_': [4, [[0, 0, 4, 0]]],
+  '+': [4, [[0, 3, 4, 3], [2, 1, 2, 5]]],
+  '.': [0.5, [[0.25, 0, 0.25, 0.5]]],
+  ':': [0.5, [[0.25, 1.5, 0.25, 2], [0.25, 4, 0.25, 4.5]]],
+  '/': [4, [[0, 0, 4, 6]]],
+  '#': [4, [[1, 0, 1.5, 6], [2.5, 0, 3, 6], [0, 2, 4, 2], [0, 4, 4, 4]]],
+  ' ': [2, []],
+  '?': [4, [[0, 5, 1, 6, 3, 6, 4, 5, 4, 4, 2, 3, 2, 2], [2, 0.5, 2, 0]]]
+};
+
+// Polylines for a line of text starting at the origin on the baseline, in cap-height units
+export function textStrokes(text) {
+  const strokes = [];
+  let x = 0;
+  for (const char of text.toUpperCase()) {
+    const [width, glyph] = GLYPHS[char] || GLYPHS['?'];
+    for (const flat of glyph) {
+      const stroke = [];
+      for (let i = 0; i < flat.length; i += 2) stroke.push({ x: x + flat[i], y: flat[i + 1] });
+      strokes.push(stroke);
+    }
+    x += width + LETTER_SPACING;
+  }
+  return { strokes, width: Math.max(0, x - LETTER_SPACING), height: CAP_HEIGHT };
+}
+
+// Template tokens: {label} the part's own name, {n} its number among parts of the same kind
+// and axis, {nn}/{nnn} the same zero-padded, {axis} the slicing axis. "A-{nn}" gives "A-07".
+export const DEFAULT_LABEL_FORMAT = '{label}';
+
+export function formatLabel(template, part, number) {
+  return template.replace(/\{(label|n+|axis)\}/g, (_, token) => {
+    if (token === 'label') return part.label;
+    if (token === 'axis') return (part.axis || '').toUpperCase();
+    return String(number).padStart(token.length, '0');
+  });
+}
+
+// Largest label height (mm) tried, smallest still worth engraving, and padding around the text
+const MAX_HEIGHT = 10;
+const MIN_HEIGHT = 1.5;
+const PADDING = 0.25; // Times the text height
+
+// Finds the biggest text box (aspect `aspect` = width / height) that fits in the part's material
+// away from `blocked` polylines, nearest the middle of the part. Returns { x, y, height } for the
+// box's bottom-left corner or null.
+function fitTextBox(shapes, aspect, blocked) {
+  const bounds = shapesBounds(shapes);
+  if (!Number.isFinite(bounds.minX)) return null;
+  const spanX = bounds.maxX - bounds.minX, spanY = bounds.maxY - bounds.minY;
+  const res = Math.max(0.2, Math.max(spanX, spanY) / 200);
+  const grid = { res, ox: bounds.minX, oy: bounds.minY, cols: Math.ceil(spanX / res) + 1, rows: Math.ceil(spanY / res) + 1 };
+  const { cols, rows } = grid;
+  const mask = rasterizeShapes(shapes, grid);
+
+  // Keep clear of existing engraving so the label does not sit on top of it
+  for (const path of blocked) {
+    for (let i = 1; i < path.length; i++) {
+      const a = path[i - 1], b = path[i];
+      const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / (res / 2)));
+      for (let s = 0; s <= steps; s++) {
+        const c = Math.floor((a.x + ((b.x - a.x) * s) / steps - grid.ox) / res);
+        const r = Math.floor((a.y + ((b.y - a.y) * s) / steps - grid.oy) / res);
+        if (c >= 0 && c < cols && r >= 0 && r < rows) mask[r * cols + c] = 0;
+      }
+    }
+  }
+
+  // Summed-area table of empty cells: a box fits where it covers none
+  const empty = new Int32Array((cols + 1) * (rows + 1));
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      empty[(r + 1) * (cols + 1) + c + 1] = (mask[r * cols + c] ? 0 : 1)
+        + empty[r * (cols + 1) + c + 1] + empty[(r + 1) * (cols + 1) + c] - empty[r * (cols + 1) + c];
+    }
+  }
+  const emptyIn = (c0, r0, w, h) => empty[(r0 + h) * (cols + 1) + c0 + w] - empty[r0 * (cols + 1) + c0 + w]
+    - empty[(r0 + h) * (cols + 1) + c0] + empty[r0 * (cols + 1) + c0];
+
+  const midX = (bounds.minX + bounds.maxX) / 2, midY = (bounds.minY + bounds.maxY) / 2;
+  const place = (height) => {
+    const boxW = Math.ceil((height * aspect + height * PADDING * 2) / res);
+    const boxH = Math.ceil((height + height * PADDING * 2) / res);
+    let best = null;
+    for (let r = 0; r + boxH <= rows; r++) {
+      for (let c = 0; c + boxW <= cols; c++) {
+        if (emptyIn(c, r, boxW, boxH)) continue;
+        const x = grid.ox + c * res, y = grid.oy + r * res;
+        const d = Math.hypot(x + (boxW * res) / 2 - midX, y + (boxH * res) / 2 - midY);
+        if (!best || d < best.d) best = { d, x: x + (boxW * res - height * aspect) / 2, y: y + (boxH * res - height) / 2, height };
+      }
+    }
+    return best;
+  };
+
+  // Fitting is monotonic in height, so bisect between the smallest and largest useful sizes
+  let lo = MIN_HEIGHT, hi = Math.min(MAX_HEIGHT, spanY, spanX / aspect);
+  let found = place(lo);
+  if (!found) return null;
+  if (hi > lo) {
+    const top = place(hi);
+    if (top) return top;
+    for (let i = 0; i < 8; i++) {
+      const mid = (lo + hi) / 2;
+      const at = place(mid);
+      if (at) { found = at; lo = mid; } else hi = mid;
+    }
+  }
+  return found;
+}
+
+// Adds each part's formatted label as engrave strokes. Parts too small for the smallest
+// label are left unlabelled.
+export function applyLabels(parts, template = DEFAULT_LABEL_FORMAT) {
+  const counters = {};
+  return parts.map(part => {
+    const key = `${part.kind}:${part.axis}`;
+    counters[key] = (counters[key] || 0) + 1;
+    const text = formatLabel(template, part, counters[key]).trim();
+    if (!text) return part;
+
+    const { strokes, width, height } = textStrokes(text);
+    const engrave = part.engrave || [];
+    const box = fitTextBox(part.shapes, width / height, engrave) || fitTextBox(part.shapes, width / height, []);
+    if (!box) return part;
+
+    const scale = box.height / height;
+    const placed = strokes.map(stroke => stroke.map(p => ({ x: box.x + p.x * scale, y: box.y + p.y * scale })));
+    return { ...part, engrave: [...engrave, ...placed] };
+  });
+}
@@ -0,0 +1,40 @@
+/**
+ * Cardboard Slicer - material library
+ *
+ * Materials describe the stock being cut: { id, name, thickness, sheetWidth, sheetHeight,
+ * cost, kerf, color } in mm and cost per sheet. The library lives in localStorage so it
+ * survives reloads; the built-in set is used until the user saves their own.
+ */
+
+const STORAGE_KEY = 'cardboard-slicer.materials';
+
+export const DEFAULT_MATERIALS = [
+  { id: 'single-wall', name: 'Single-wall corrugated', thickness: 4, sheetWidth: 600, sheetHeight: 400, cost: 1.5, kerf: 0.2, color: '#cd853f' },
+  { id: 'double-wall', name: 'Double-wall corrugated', thickness: 7, sheetWidth: 1000, sheetHeight: 700, cost: 3, kerf: 0.25, color: '#b5793a' },
+  { id: 'greyboard', name: 'Greyboard', thickness: 2, sheetWidth: 700, sheetHeight: 500, cost: 2, kerf: 0.15, color: '#8f8f8f' },
+  { id: 'plywood-3', name: 'Poplar plywood', thickness: 3, sheetWidth: 600, sheetHeight: 400, cost: 4, kerf: 0.15, color: '#e3c08d' }
+];
+
+// Returns { materials, selectedId }; a null selection means custom settings. Falls back to the
+// defaults when storage is unavailable (private mode) or holds bad data.
+export function loadMaterials() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored?.materials)) return stored;
+  } catch (e) {
+    // Ignored: the built-in library is used instead
+  }
+  return { materials: DEFAULT_MATERIALS, selectedId: null };
+}
+
+export function saveMaterials(materials, selectedId) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ materials, selectedId }));
+  } catch (e) {
+    // Storage full or disabled; the library still works for this session
+  }
+}
+
+export function createMaterial(fields) {
+  return { id: `material-${Date.now().toString(36)}`, ...fields };
+}
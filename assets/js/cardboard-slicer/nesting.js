@@ -0,0 +1,213 @@
+/**
+ * Cardboard Slicer - sheet nesting
+ *
+ * Packs parts by their real outlines onto fixed-size sheets. Each part is rasterized per
+ * rotation into a bit grid (grown by half the gap so neighbours keep the full gap), then
+ * placed at the first position, sheet by sheet, where its bits do not collide with
+ * anything already on the sheet. Holes stay empty, so small parts may land inside them.
+ *
+ * A placement maps part space (Y up) to sheet space (Y down, origin top-left):
+ *   sheet = (cos a * x - sin a * y + tx, -(sin a * x + cos a * y) + ty)
+ */
+import { signedArea } from './polygons.js';
+
+export const DEFAULT_SHEET = { width: 600, height: 400, gap: 3, allowRotation: true };
+
+// Raster cell size in mm: keeps the raster around 300 cells across so big sheets stay fast
+const nestResolution = ({ width, height }) => Math.max(0.5, Math.max(width, height) / 300);
+
+// Largest part bounds certain to fit an empty sheet, allowing for the gap, raster rounding and
+// the kerf, which grows every outline by half its width on each side
+export function sheetCapacity(sheet, kerf = 0) {
+  const margin = sheet.gap + kerf + 2 * nestResolution(sheet);
+  return { width: sheet.width - margin, height: sheet.height - margin };
+}
+
+export function placePoint({ angle, tx, ty }, p) {
+  const rad = (angle * Math.PI) / 180;
+  const cos = Math.cos(rad), sin = Math.sin(rad);
+  return { x: cos * p.x - sin * p.y + tx, y: -(sin * p.x + cos * p.y) + ty };
+}
+
+export function partArea(part) {
+  let area = 0;
+  for (const shape of part.shapes) {
+    area += Math.abs(signedArea(shape.outer));
+    for (const hole of shape.holes) area -= Math.abs(signedArea(hole));
+  }
+  return area;
+}
+
+// Conservative raster: cells whose centre is inside (even-odd) plus every cell an edge passes
+// through, then grown by `grow` cells in every direction.
+function rasterizePart(part, angle, res, grow) {
+  const paths = part.shapes.flatMap(shape => [shape.outer, ...shape.holes])
+    .map(path => path.map(p => placePoint({ angle, tx: 0, ty: 0 }, p)));
+
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  for (const path of paths) {
+    for (const p of path) {
+      if (p.x < minX) minX = p.x;
+      if (p.x > maxX) maxX = p.x;
+      if (p.y < minY) minY = p.y;
+      if (p.y > maxY) maxY = p.y;
+    }
+  }
+  if (!Number.isFinite(minX)) return null;
+
+  const ox = minX - grow * res;
+  const oy = minY - grow * res;
+  const cols = Math.ceil((maxX - minX) / res) + 1 + grow * 2;
+  const rows = Math.ceil((maxY - minY) / res) + 1 + grow * 2;
+  const cells = new Uint8Array(cols * rows);
+
+  for (let r = 0; r < rows; r++) {
+    const y = oy + (r + 0.5) * res;
+    const xs = [];
+    for (const path of paths) {
+      for (let i = 0, j = path.length - 1; i < path.length; j = i++) {
+        const a = path[j], b = path[i];
+        if ((a.y > y) !== (b.y > y)) xs.push(a.x + ((y - a.y) / (b.y - a.y)) * (b.x - a.x));
+      }
+    }
+    xs.sort((a, b) => a - b);
+    for (let k = 0; k + 1 < xs.length; k += 2) {
+      const c0 = Math.max(0, Math.ceil((xs[k] - ox) / res - 0.5));
+      const c1 = Math.min(cols - 1, Math.floor((xs[k + 1] - ox) / res - 0.5));
+      for (let c = c0; c <= c1; c++) cells[r * cols + c] = 1;
+    }
+  }
+
+  const mark = (x, y) => {
+    const c = Math.floor((x - ox) / res), r = Math.floor((y - oy) / res);
+    if (c >= 0 && c < cols && r >= 0 && r < rows) cells[r * cols + c] = 1;
+  };
+  for (const path of paths) {
+    for (let i = 0, j = path.length - 1; i < path.length; j = i++) {
+      const a = path[j], b = path[i];
+      const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / (res / 2)));
+      for (let s = 0; s <= steps; s++) mark(a.x + ((b.x - a.x) * s) / steps, a.y + ((b.y - a.y) * s) / steps);
+    }
+  }
+
+  // Separable square dilation
+  if (grow > 0) {
+    const tmp = new Uint8Array(cells.length);
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        if (!cells[r * cols + c]) continue;
+        for (let d = Math.max(0, c - grow); d <= Math.min(cols - 1, c + grow); d++) tmp[r * cols + d] = 1;
+      }
+    }
+    cells.fill(0);
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        if (!tmp[r * cols + c]) continue;
+        for (let d = Math.max(0, r - grow); d <= Math.min(rows - 1, r + grow); d++) cells[d * cols + c] = 1;
+      }
+    }
+  }
+
+  const words = Math.ceil(cols / 32);
+  const bits = new Uint32Array(rows * words);
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      if (cells[r * cols + c]) bits[r * words + (c >> 5)] |= 1 << (c & 31);
+    }
+  }
+  return { angle, cols, rows, words, bits, ox, oy };
+}
+
+function createSheet(cols, rows) {
+  const words = Math.ceil(cols / 32) + 1; // Spare word so shifted writes never overflow a row
+  return { cols, rows, words, bits: new Uint32Array(rows * words), placements: [] };
+}
+
+// Calls visit(sheetWordIndex, partWordValue) for each part word shifted to column cx
+function forEachShifted(sheet, raster, cx, cy, visit) {
+  const shift = cx & 31, base = cx >> 5;
+  for (let r = 0; r < raster.rows; r++) {
+    const rowBase = (cy + r) * sheet.words + base;
+    for (let w = 0; w < raster.words; w++) {
+      const word = raster.bits[r * raster.words + w];
+      if (!word) continue;
+      if (visit(rowBase + w, (word << shift) >>> 0) === false) return false;
+      if (shift && visit(rowBase + w + 1, word >>> (32 - shift)) === false) return false;
+    }
+  }
+  return true;
+}
+
+function fits(sheet, raster, cx, cy) {
+  return forEachShifted(sheet, raster, cx, cy, (i, word) => (sheet.bits[i] & word) === 0);
+}
+
+function findPosition(sheet, raster) {
+  for (let cy = 0; cy + raster.rows <= sheet.rows; cy++) {
+    for (let cx = 0; cx + raster.cols <= sheet.cols; cx++) {
+      if (fits(sheet, raster, cx, cy)) return { cx, cy };
+    }
+  }
+  return null;
+}
+
+// parts: [{ shapes }]. Returns sheets of placements ({ part, angle, tx, ty }) plus stats.
+export function nestParts(parts, { width, height, gap, allowRotation }) {
+  const res = nestResolution({ width, height });
+  const grow = Math.ceil(gap / 2 / res);
+  const angles = allowRotation ? [0, 90, 180, 270] : [0];
+  const sheetCols = Math.floor(width / res);
+  const sheetRows = Math.floor(height / res);
+
+  const areas = parts.map(partArea);
+  const order = parts.map((_, i) => i).filter(i => areas[i] > 0).sort((a, b) => areas[b] - areas[a]);
+
+  const sheets = [];
+  const oversize = [];
+  for (const partIndex of order) {
+    const rasters = angles.map(angle => rasterizePart(parts[partIndex], angle, res, grow)).filter(Boolean);
+    let placed = false;
+
+    for (const sheet of [...sheets, createSheet(sheetCols, sheetRows)]) {
+      // Prefer the rotation whose bottom edge ends up highest, then leftmost
+      let best = null;
+      for (const raster of rasters) {
+        const pos = findPosition(sheet, raster);
+        if (!pos) continue;
+        const score = (pos.cy + raster.rows) * sheet.cols + pos.cx;
+        if (!best || score < best.score) best = { ...pos, raster, score };
+      }
+      if (!best) continue;
+
+      const { cx, cy, raster } = best;
+      forEachShifted(sheet, raster, cx, cy, (i, word) => { sheet.bits[i] |= word; });
+      sheet.placements.push({ part: partIndex, angle: raster.angle, tx: cx * res - raster.ox, ty: cy * res - raster.oy });
+      if (!sheets.includes(sheet)) sheets.push(sheet);
+      placed = true;
+      break;
+    }
+
+    if (!placed) oversize.push(partIndex);
+  }
+
+  // Parts too large for the sheet still get exported, each on a sheet of its own
+  const result = sheets.map(sheet => ({ width, height, placements: sheet.placements }));
+  for (const partIndex of oversize) {
+    const raster = rasterizePart(parts[partIndex], 0, res, grow);
+    result.push({
+      width: raster.cols * res,
+      height: raster.rows * res,
+      oversize: true,
+      placements: [{ part: partIndex, angle: 0, tx: -raster.ox, ty: -raster.oy }]
+    });
+  }
+
+  const usedArea = order.reduce((sum, i) => sum + areas[i], 0);
+  const regularSheets = sheets.length;
+  return {
+    sheets: result,
+    oversize,
+    utilization: regularSheets ? order.filter(i => !oversize.includes(i)).reduce((sum, i) => sum + areas[i], 0) / (regularSheets * width * height) : 0,
+    partArea: usedArea
+  };
+}
@@ -0,0 +1,268 @@
+/**
+ * Cardboard Slicer - mesh file parsers (STL, OBJ, 3MF)
+ */
+
+// --- STL Parsing Utilities ---
+function parseSTLAscii(text) {
+  const triangles = [];
+  const lines = text.split('\n');
+  let currentTri = [];
+  for (let line of lines) {
+    line = line.trim();
+    if (line.startsWith('vertex')) {
+      const parts = line.split(/\s+/);
+      currentTri.push({
+        x: parseFloat(parts[1]),
+        y: parseFloat(parts[2]),
+        z: parseFloat(parts[3])
+      });
+      if (currentTri.length === 3) {
+        triangles.push(currentTri);
+        currentTri = [];
+      }
+    }
+  }
+  return triangles;
+}
+
+function parseSTLBinary(buffer) {
+  const dataView = new DataView(buffer);
+  const numTriangles = dataView.getUint32(80, true);
+  const triangles = [];
+  let offset = 84;
+  for (let i = 0; i < numTriangles; i++) {
+    // Skip 12 bytes for normal
+    const v1 = {
+      x: dataView.getFloat32(offset + 12, true),
+      y: dataView.getFloat32(offset + 16, true),
+      z: dataView.getFloat32(offset + 20, true)
+    };
+    const v2 = {
+      x: dataView.getFloat32(offset + 24, true),
+      y: dataView.getFloat32(offset + 28, true),
+      z: dataView.getFloat32(offset + 32, true)
+    };
+    const v3 = {
+      x: dataView.getFloat32(offset + 36, true),
+      y: dataView.getFloat32(offset + 40, true),
+      z: dataView.getFloat32(offset + 44, true)
+    };
+    triangles.push([v1, v2, v3]);
+    offset += 50;
+  }
+  return triangles;
+}
+
+function parseSTL(buffer) {
+  const view = new Uint8Array(buffer);
+  const headerText = new TextDecoder().decode(view.subarray(0, 200));
+  if (headerText.includes("solid") && headerText.includes("facet normal")) {
+    return parseSTLAscii(new TextDecoder().decode(buffer));
+  }
+  return parseSTLBinary(buffer);
+}
+
+// --- OBJ Parsing Utilities ---
+function parseOBJ(text) {
+  const vertices = [];
+  const triangles = [];
+  const lines = text.split('\n');
+
+  // OBJ indices are 1-based; negative indices count back from the latest vertex
+  const resolveIndex = (token) => {
+    const idx = parseInt(token.split('/')[0], 10);
+    if (Number.isNaN(idx) || idx === 0) return null;
+    return idx > 0 ? idx - 1 : vertices.length + idx;
+  };
+
+  for (let line of lines) {
+    line = line.trim();
+    if (/^v\s/.test(line)) {
+      const parts = line.split(/\s+/);
+      vertices.push({
+        x: parseFloat(parts[1]),
+        y: parseFloat(parts[2]),
+        z: parseFloat(parts[3])
+      });
+    } else if (/^f\s/.test(line)) {
+      // Texture (vt) and normal (vn) references after the slashes are ignored
+      const face = line.split(/\s+/).slice(1)
+        .map(resolveIndex)
+        .map(idx => (idx !== null ? vertices[idx] : undefined));
+      if (face.length < 3 || face.some(v => !v)) continue;
+
+      // Fan-triangulate quads and n-gons around the first vertex
+      for (let i = 1; i < face.length - 1; i++) {
+        triangles.push([face[0], face[i], face[i + 1]]);
+      }
+    }
+  }
+  return triangles;
+}
+
+// --- 3MF Parsing Utilities ---
+// Minimal ZIP reader: walks the central directory and inflates entries with the
+// browser's native DecompressionStream, so no archive library is needed.
+async function unzipEntries(buffer) {
+  const dataView = new DataView(buffer);
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (dataView.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error("Not a ZIP archive");
+
+  const entryCount = dataView.getUint16(eocd + 10, true);
+  let offset = dataView.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = {};
+
+  for (let i = 0; i < entryCount; i++) {
+    if (dataView.getUint32(offset, true) !== 0x02014b50) throw new Error("Corrupt ZIP central directory");
+    const method = dataView.getUint16(offset + 10, true);
+    const compressedSize = dataView.getUint32(offset + 20, true);
+    const nameLen = dataView.getUint16(offset + 28, true);
+    const extraLen = dataView.getUint16(offset + 30, true);
+    const commentLen = dataView.getUint16(offset + 32, true);
+    const localOffset = dataView.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLen));
+    offset += 46 + nameLen + extraLen + commentLen;
+
+    // The local header repeats name/extra with its own lengths
+    const dataStart = localOffset + 30 + dataView.getUint16(localOffset + 26, true) + dataView.getUint16(localOffset + 28, true);
+    entries[name] = { method, data: new Uint8Array(buffer, dataStart, compressedSize) };
+  }
+
+  return {
+    names: Object.keys(entries),
+    async readText(name) {
+      const entry = entries[name];
+      if (!entry) return null;
+      if (entry.method === 0) return decoder.decode(entry.data);
+      if (entry.method !== 8) throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+      const stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Response(stream).text();
+    }
+  };
+}
+
+function parseXMLAttributes(tag) {
+  const attrs = {};
+  for (const match of tag.matchAll(/([\w:]+)\s*=\s*"([^"]*)"/g)) {
+    attrs[match[1]] = match[2];
+  }
+  return attrs;
+}
+
+// 3MF transforms are 3x4 row-major matrices: "m00 m01 m02 m10 m11 m12 m20 m21 m22 m30 m31 m32"
+const IDENTITY_3MF = [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0];
+
+function parse3MFTransform(value) {
+  if (!value) return IDENTITY_3MF;
+  const m = value.trim().split(/\s+/).map(Number);
+  return m.length === 12 && m.every(Number.isFinite) ? m : IDENTITY_3MF;
+}
+
+function multiply3MFTransforms(a, b) {
+  // Apply a first, then b
+  const out = new Array(12);
+  for (let r = 0; r < 4; r++) {
+    for (let c = 0; c < 3; c++) {
+      out[r * 3 + c] = a[r * 3] * b[c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c] + (r === 3 ? b[9 + c] : 0);
+    }
+  }
+  return out;
+}
+
+function apply3MFTransform(m, v) {
+  return {
+    x: v.x * m[0] + v.y * m[3] + v.z * m[6] + m[9],
+    y: v.x * m[1] + v.y * m[4] + v.z * m[7] + m[10],
+    z: v.x * m[2] + v.y * m[5] + v.z * m[8] + m[11]
+  };
+}
+
+function parse3MFModel(xml) {
+  // 3MF is machine-written XML, so a tag scanner is enough and also works where DOMParser does not
+  const objects = {};
+  const objectRe = /<(?:\w+:)?object\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?object>/g;
+  for (const match of xml.matchAll(objectRe)) {
+    const { id } = parseXMLAttributes(match[1]);
+    const body = match[2];
+    const vertices = [];
+    for (const v of body.matchAll(/<(?:\w+:)?vertex\b([^>]*)\/?>/g)) {
+      const a = parseXMLAttributes(v[1]);
+      vertices.push({ x: parseFloat(a.x), y: parseFloat(a.y), z: parseFloat(a.z) });
+    }
+    const faces = [];
+    for (const t of body.matchAll(/<(?:\w+:)?triangle\b([^>]*)\/?>/g)) {
+      const a = parseXMLAttributes(t[1]);
+      faces.push([parseInt(a.v1, 10), parseInt(a.v2, 10), parseInt(a.v3, 10)]);
+    }
+    const components = [];
+    for (const c of body.matchAll(/<(?:\w+:)?component\b([^>]*)\/?>/g)) {
+      const a = parseXMLAttributes(c[1]);
+      components.push({ objectId: a.objectid, transform: parse3MFTransform(a.transform) });
+    }
+    objects[id] = { vertices, faces, components };
+  }
+
+  const triangles = [];
+  const emitObject = (id, transform, depth) => {
+    const obj = objects[id];
+    if (!obj || depth > 16) return;
+    for (const [a, b, c] of obj.faces) {
+      const v1 = obj.vertices[a], v2 = obj.vertices[b], v3 = obj.vertices[c];
+      if (!v1 || !v2 || !v3) continue;
+      triangles.push([apply3MFTransform(transform, v1), apply3MFTransform(transform, v2), apply3MFTransform(transform, v3)]);
+    }
+    for (const comp of obj.components) {
+      emitObject(comp.objectId, multiply3MFTransforms(comp.transform, transform), depth + 1);
+    }
+  };
+
+  const buildMatch = xml.match(/<(?:\w+:)?build\b[^>]*>([\s\S]*?)<\/(?:\w+:)?build>/);
+  const items = buildMatch ? [...buildMatch[1].matchAll(/<(?:\w+:)?item\b([^>]*)\/?>/g)] : [];
+  if (items.length > 0) {
+    for (const item of items) {
+      const a = parseXMLAttributes(item[1]);
+      emitObject(a.objectid, parse3MFTransform(a.transform), 0);
+    }
+  } else {
+    // No build section: fall back to every mesh object as-is
+    Object.keys(objects).forEach(id => emitObject(id, IDENTITY_3MF, 0));
+  }
+  return triangles;
+}
+
+async function parse3MF(buffer) {
+  const zip = await unzipEntries(buffer);
+  let modelPath = '3D/3dmodel.model';
+
+  // The package relationships point at the start part; honour it when present
+  const rels = await zip.readText('_rels/.rels');
+  if (rels) {
+    for (const rel of rels.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+      const a = parseXMLAttributes(rel[1]);
+      if (a.Type && a.Type.endsWith('/3dmodel') && a.Target) {
+        modelPath = a.Target.replace(/^\//, '');
+        break;
+      }
+    }
+  }
+
+  const xml = await zip.readText(modelPath)
+    ?? await zip.readText(zip.names.find(n => n.toLowerCase().endsWith('.model')));
+  if (!xml) throw new Error("3MF archive has no model part");
+  return parse3MFModel(xml);
+}
+
+export async function parseModel(buffer, fileName) {
+  const ext = (fileName || '').split('.').pop().toLowerCase();
+  if (ext === 'obj') {
+    return parseOBJ(new TextDecoder().decode(buffer));
+  }
+  if (ext === '3mf') {
+    return parse3MF(buffer);
+  }
+  return parseSTL(buffer);
+}
@@ -0,0 +1,491 @@
+/**
+ * Cardboard Slicer - 2D polygon utilities for layer contours
+ *
+ * Paths are arrays of { x, y } in model millimetres with Y up. A layer is a list of
+ * shapes: { outer, holes } with outers counter-clockwise and holes clockwise.
+ */
+
+// Shoelace formula: positive for counter-clockwise paths
+export function signedArea(path) {
+  let area = 0;
+  for (let i = 0, j = path.length - 1; i < path.length; j = i++) {
+    area += (path[j].x * path[i].y) - (path[i].x * path[j].y);
+  }
+  return area / 2;
+}
+
+export function pathBounds(path) {
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  for (const p of path) {
+    if (p.x < minX) minX = p.x;
+    if (p.x > maxX) maxX = p.x;
+    if (p.y < minY) minY = p.y;
+    if (p.y > maxY) maxY = p.y;
+  }
+  return { minX, maxX, minY, maxY };
+}
+
+export function shapesBounds(shapes) {
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  for (const shape of shapes) {
+    const b = pathBounds(shape.outer);
+    minX = Math.min(minX, b.minX); maxX = Math.max(maxX, b.maxX);
+    minY = Math.min(minY, b.minY); maxY = Math.max(maxY, b.maxY);
+  }
+  return { minX, maxX, minY, maxY };
+}
+
+// Even-odd ray cast
+export function pointInPolygon(pt, path) {
+  let inside = false;
+  for (let i = 0, j = path.length - 1; i < path.length; j = i++) {
+    const a = path[i], b = path[j];
+    if ((a.y > pt.y) !== (b.y > pt.y) && pt.x < ((b.x - a.x) * (pt.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// --- Rasterizing ---
+// Even-odd fill of cell centres on a grid { cols, rows, res, ox, oy }; 1 marks material
+export function rasterizeShapes(shapes, grid) {
+  const { cols, rows, res, ox, oy } = grid;
+  const mask = new Uint8Array(cols * rows);
+  const paths = shapes.flatMap(shape => [shape.outer, ...shape.holes]);
+
+  for (let r = 0; r < rows; r++) {
+    const y = oy + (r + 0.5) * res;
+    const xs = [];
+    for (const path of paths) {
+      for (let i = 0, j = path.length - 1; i < path.length; j = i++) {
+        const a = path[j], b = path[i];
+        if ((a.y > y) !== (b.y > y)) xs.push(a.x + ((y - a.y) / (b.y - a.y)) * (b.x - a.x));
+      }
+    }
+    xs.sort((a, b) => a - b);
+    for (let k = 0; k + 1 < xs.length; k += 2) {
+      const c0 = Math.max(0, Math.ceil((xs[k] - ox) / res - 0.5));
+      const c1 = Math.min(cols - 1, Math.floor((xs[k + 1] - ox) / res - 0.5));
+      for (let c = c0; c <= c1; c++) mask[r * cols + c] = 1;
+    }
+  }
+  return mask;
+}
+
+// Two-pass chamfer distance (in cells) from every masked cell to the nearest empty one
+export function distanceField(mask, cols, rows) {
+  const dist = new Float32Array(cols * rows);
+  const d1 = 1, d2 = Math.SQRT2;
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const i = r * cols + c;
+      if (!mask[i]) continue;
+      let d = Math.min(c, r, cols - 1 - c, rows - 1 - r) + 1; // The grid edge counts as empty
+      if (c > 0) d = Math.min(d, dist[i - 1] + d1);
+      if (r > 0) {
+        d = Math.min(d, dist[i - cols] + d1);
+        if (c > 0) d = Math.min(d, dist[i - cols - 1] + d2);
+        if (c < cols - 1) d = Math.min(d, dist[i - cols + 1] + d2);
+      }
+      dist[i] = d;
+    }
+  }
+  for (let r = rows - 1; r >= 0; r--) {
+    for (let c = cols - 1; c >= 0; c--) {
+      const i = r * cols + c;
+      if (!mask[i]) continue;
+      let d = dist[i];
+      if (c < cols - 1) d = Math.min(d, dist[i + 1] + d1);
+      if (r < rows - 1) {
+        d = Math.min(d, dist[i + cols] + d1);
+        if (c < cols - 1) d = Math.min(d, dist[i + cols + 1] + d2);
+        if (c > 0) d = Math.min(d, dist[i + cols - 1] + d2);
+      }
+      dist[i] = d;
+    }
+  }
+  return dist;
+}
+
+const withWinding = (path, ccw) => ((signedArea(path) > 0) === ccw ? path : [...path].reverse());
+
+// Classifies a layer's closed contours by containment depth: even depth is an outer
+// boundary, odd depth is a hole of the smallest contour directly around it. Islands
+// sitting inside holes come back as shapes of their own.
+export function nestContours(paths) {
+  const contours = paths
+    .filter(path => path.length >= 3)
+    .map(path => ({ path, area: Math.abs(signedArea(path)), bounds: pathBounds(path), parent: -1, depth: 0 }))
+    .filter(c => c.area > 0);
+
+  // Largest first, so the first container found walking back up the list is the tightest
+  contours.sort((a, b) => b.area - a.area);
+
+  const contains = (outer, inner) =>
+    inner.bounds.minX >= outer.bounds.minX && inner.bounds.maxX <= outer.bounds.maxX &&
+    inner.bounds.minY >= outer.bounds.minY && inner.bounds.maxY <= outer.bounds.maxY &&
+    pointInPolygon(inner.path[0], outer.path);
+
+  contours.forEach((c, i) => {
+    for (let j = i - 1; j >= 0; j--) {
+      if (contains(contours[j], c)) {
+        c.parent = j;
+        c.depth = contours[j].depth + 1;
+        break;
+      }
+    }
+  });
+
+  const shapes = [];
+  const shapeOf = new Map();
+  contours.forEach((c, i) => {
+    if (c.depth % 2 === 0) {
+      shapeOf.set(i, shapes.length);
+      shapes.push({ outer: withWinding(c.path, true), holes: [] });
+    } else {
+      shapes[shapeOf.get(c.parent)].holes.push(withWinding(c.path, false));
+    }
+  });
+  return shapes;
+}
+
+// Cutting order: every hole is cut while its part is still held by the sheet
+export function cutOrder(shape) {
+  return [...shape.holes, shape.outer];
+}
+
+// --- Simplification ---
+// Douglas-Peucker on a closed path: split at the first point and the point farthest from it,
+// then keep only the points that sit more than `tolerance` (mm) off the chord of their span.
+export function simplifyPath(path, tolerance) {
+  if (!(tolerance > 0) || path.length <= 4) return path;
+
+  let far = 0, farDist = -1;
+  for (let i = 1; i < path.length; i++) {
+    const d = (path[i].x - path[0].x) ** 2 + (path[i].y - path[0].y) ** 2;
+    if (d > farDist) { far = i; farDist = d; }
+  }
+
+  const keep = new Uint8Array(path.length);
+  keep[0] = keep[far] = 1;
+  const tol2 = tolerance * tolerance;
+  const stack = [[0, far], [far, path.length]]; // The second span wraps back to point 0
+  while (stack.length) {
+    const [from, to] = stack.pop();
+    const a = path[from], b = path[to % path.length];
+    let worst = -1, worstDist = tol2;
+    for (let i = from + 1; i < to; i++) {
+      const d = distanceToSegmentSquared(path[i], a, b);
+      if (d > worstDist) { worst = i; worstDist = d; }
+    }
+    if (worst < 0) continue;
+    keep[worst] = 1;
+    stack.push([from, worst], [worst, to]);
+  }
+
+  const out = path.filter((_, i) => keep[i]);
+  return out.length >= 3 ? out : path;
+}
+
+export function simplifyParts(parts, tolerance) {
+  if (!(tolerance > 0)) return parts;
+  return parts.map(part => ({
+    ...part,
+    shapes: part.shapes.map(({ outer, holes }) => ({
+      outer: simplifyPath(outer, tolerance),
+      holes: holes.map(hole => simplifyPath(hole, tolerance))
+    }))
+  }));
+}
+
+export function countNodes(parts) {
+  let nodes = 0;
+  for (const part of parts) {
+    for (const { outer, holes } of part.shapes) {
+      nodes += outer.length;
+      for (const hole of holes) nodes += hole.length;
+    }
+  }
+  return nodes;
+}
+
+// --- Offsetting ---
+// Material is always on the left of travel (outers CCW, holes CW), so moving every edge to
+// its right grows outers and shrinks holes alike. Joins only matter on convex corners; on
+// concave ones the offset edges already cross and their intersection is used.
+export function offsetPath(path, distance, join = 'miter', { miterLimit = 4, arcTolerance = 0.01 } = {}) {
+  if (!distance) return path;
+  const pts = path.filter((p, i) => {
+    const prev = path[(i + path.length - 1) % path.length];
+    return Math.hypot(p.x - prev.x, p.y - prev.y) > 1e-9;
+  });
+  if (pts.length < 3) return path;
+
+  const out = [];
+  const n = pts.length;
+  for (let i = 0; i < n; i++) {
+    const prev = pts[(i + n - 1) % n], cur = pts[i], next = pts[(i + 1) % n];
+    const l1 = Math.hypot(cur.x - prev.x, cur.y - prev.y);
+    const l2 = Math.hypot(next.x - cur.x, next.y - cur.y);
+    const e1 = { x: (cur.x - prev.x) / l1, y: (cur.y - prev.y) / l1 };
+    const e2 = { x: (next.x - cur.x) / l2, y: (next.y - cur.y) / l2 };
+    const n1 = { x: e1.y, y: -e1.x };
+    const n2 = { x: e2.y, y: -e2.x };
+    const cross = e1.x * e2.y - e1.y * e2.x;
+    const dot = n1.x * n2.x + n1.y * n2.y;
+
+    // Miter point: where the two offset edges meet
+    const miterScale = 1 + dot > 1e-9 ? 1 / (1 + dot) : Infinity;
+    const miter = { x: (n1.x + n2.x) * miterScale, y: (n1.y + n2.y) * miterScale };
+    const miterLength = Math.hypot(miter.x, miter.y);
+
+    if (cross <= 0 || (join === 'miter' && miterLength <= miterLimit)) {
+      if (miterLength <= miterLimit) {
+        out.push({ x: cur.x + miter.x * distance, y: cur.y + miter.y * distance });
+      } else {
+        out.push({ x: cur.x + n1.x * distance, y: cur.y + n1.y * distance });
+        out.push({ x: cur.x + n2.x * distance, y: cur.y + n2.y * distance });
+      }
+    } else if (join === 'round') {
+      const sweep = Math.atan2(cross, e1.x * e2.x + e1.y * e2.y);
+      const maxStep = 2 * Math.acos(Math.max(-1, 1 - arcTolerance / distance));
+      const steps = Math.max(1, Math.ceil(sweep / maxStep));
+      const start = Math.atan2(n1.y, n1.x);
+      for (let s = 0; s <= steps; s++) {
+        const a = start + (sweep * s) / steps;
+        out.push({ x: cur.x + Math.cos(a) * distance, y: cur.y + Math.sin(a) * distance });
+      }
+    } else {
+      // Miter too long: square it off (bevel)
+      out.push({ x: cur.x + n1.x * distance, y: cur.y + n1.y * distance });
+      out.push({ x: cur.x + n2.x * distance, y: cur.y + n2.y * distance });
+    }
+  }
+  return out;
+}
+
+// First crossing between two non-adjacent edges of a closed ring, as { i, j, point } with
+// edge i running from ring[i] to ring[i + 1] and i < j; null when the ring is simple.
+// Edges are bucketed into horizontal bands so each one is only tested against its neighbours.
+function firstCrossing(ring) {
+  const n = ring.length;
+  const b = pathBounds(ring);
+  const count = Math.max(1, Math.ceil(n / 8));
+  const height = Math.max((b.maxY - b.minY) / count, 1e-9);
+  const band = y => Math.min(count - 1, Math.max(0, Math.floor((y - b.minY) / height)));
+  const bands = Array.from({ length: count }, () => []);
+  for (let i = 0; i < n; i++) {
+    const p = ring[i], q = ring[(i + 1) % n];
+    for (let k = band(Math.min(p.y, q.y)); k <= band(Math.max(p.y, q.y)); k++) bands[k].push(i);
+  }
+
+  for (let i = 0; i < n; i++) {
+    const a = ring[i], c = ring[(i + 1) % n];
+    const dx = c.x - a.x, dy = c.y - a.y;
+    for (let k = band(Math.min(a.y, c.y)), k1 = band(Math.max(a.y, c.y)); k <= k1; k++) {
+      for (const j of bands[k]) {
+        if (j <= i + 1 || (i === 0 && j === n - 1)) continue; // Neighbours share a vertex
+        const p = ring[j], q = ring[(j + 1) % n];
+        if (Math.max(p.x, q.x) < Math.min(a.x, c.x) || Math.min(p.x, q.x) > Math.max(a.x, c.x)) continue;
+        const ex = q.x - p.x, ey = q.y - p.y;
+        const denom = dx * ey - dy * ex;
+        if (Math.abs(denom) < 1e-12) {
+          // Parallel: only edges lying along each other cross, at the middle of their overlap
+          const len2 = dx * dx + dy * dy;
+          if (!len2 || Math.abs((p.x - a.x) * dy - (p.y - a.y) * dx) > 1e-9 * Math.sqrt(len2)) continue;
+          const tp = ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2, tq = ((q.x - a.x) * dx + (q.y - a.y) * dy) / len2;
+          const from = Math.max(0, Math.min(tp, tq)), to = Math.min(1, Math.max(tp, tq));
+          if (to - from < 1e-9) continue;
+          const t = (from + to) / 2;
+          return { i, j, point: { x: a.x + dx * t, y: a.y + dy * t } };
+        }
+        const t = ((p.x - a.x) * ey - (p.y - a.y) * ex) / denom;
+        const u = ((p.x - a.x) * dy - (p.y - a.y) * dx) / denom;
+        if (t > 1e-9 && t < 1 - 1e-9 && u > 1e-9 && u < 1 - 1e-9) {
+          return { i, j, point: { x: a.x + dx * t, y: a.y + dy * t } };
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// Every edge of a good offset has the source ring on its left, `distance` away. Checked at
+// the middle of the loop's longest edge: a hole smaller than the kerf shrinks past nothing
+// into a mirrored copy of itself, wound the same way but with the source on the wrong side.
+function facesSource(loop, source) {
+  let best = 0, bestLength = -1;
+  for (let i = 0; i < loop.length; i++) {
+    const a = loop[i], b = loop[(i + 1) % loop.length];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    if (length > bestLength) { best = i; bestLength = length; }
+  }
+  const a = loop[best], b = loop[(best + 1) % loop.length];
+  const step = bestLength * 0.01;
+  const left = { x: -(b.y - a.y) / bestLength * step, y: (b.x - a.x) / bestLength * step };
+  const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  const toSource = p => {
+    let d = Infinity;
+    for (let i = 0, j = source.length - 1; i < source.length; j = i++) d = Math.min(d, distanceToSegmentSquared(p, source[j], source[i]));
+    return d;
+  };
+  return toSource({ x: mid.x + left.x, y: mid.y + left.y }) < toSource({ x: mid.x - left.x, y: mid.y - left.y });
+}
+
+// Offsetting can leave a ring crossing itself: swallowtails where a concave corner or a gap
+// narrower than the offset folds back, or a hole smaller than the kerf turned inside out.
+// The ring is split at every crossing and only the loops still wound the way `source` is,
+// facing it and with some area left are kept, largest first. Loops inside a kept one are
+// where the offset passed over itself twice, and go too.
+function untangleRing(ring, source, minArea = 1e-6) {
+  const ccw = signedArea(source) > 0;
+  const kept = [];
+  const pending = [ring];
+  while (pending.length) {
+    const loop = pending.pop();
+    if (loop.length < 3) continue;
+    const crossing = firstCrossing(loop);
+    if (!crossing) {
+      const area = signedArea(loop);
+      if ((area > 0) === ccw && Math.abs(area) >= minArea && facesSource(loop, source)) kept.push(loop);
+      continue;
+    }
+    const { i, j, point } = crossing;
+    pending.push([point, ...loop.slice(i + 1, j + 1)], [point, ...loop.slice(j + 1), ...loop.slice(0, i + 1)]);
+  }
+  kept.sort((a, b) => Math.abs(signedArea(b)) - Math.abs(signedArea(a)));
+  return kept.filter((loop, k) => !kept.slice(0, k).some(bigger => pointInPolygon(loop[0], bigger)));
+}
+
+// Beam-centre paths: half the kerf outside every outer and inside every hole. Holes that
+// close up under the kerf disappear, and a hole pinched shut in the middle becomes two.
+export function applyKerf(parts, kerf, join = 'miter') {
+  if (!kerf) return parts;
+  const offset = path => offsetPath(path, kerf / 2, join);
+  return parts.map(part => ({
+    ...part,
+    shapes: part.shapes.flatMap(({ outer, holes }) => {
+      const [grown, ...rest] = untangleRing(offset(outer), outer);
+      if (!grown) return [];
+      return [
+        { outer: grown, holes: holes.flatMap(hole => untangleRing(offset(hole), hole)) },
+        ...rest.map(piece => ({ outer: piece, holes: [] }))
+      ];
+    })
+  }));
+}
+
+// --- Clipping ---
+// Edges of every ring bucketed into horizontal bands, so crossing, clearance and even-odd
+// queries only look at the edges near the point or segment in question.
+function createEdgeIndex(shapes) {
+  const edges = [];
+  for (const shape of shapes) {
+    for (const ring of [shape.outer, ...shape.holes]) {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) edges.push([ring[j], ring[i]]);
+    }
+  }
+  const bounds = shapesBounds(shapes);
+  const count = Math.max(1, Math.ceil(edges.length / 8));
+  const height = Math.max((bounds.maxY - bounds.minY) / count, 1e-9);
+  const band = y => Math.min(count - 1, Math.max(0, Math.floor((y - bounds.minY) / height)));
+  const bands = Array.from({ length: count }, () => []);
+  for (const edge of edges) {
+    const [a, b] = edge;
+    for (let k = band(Math.min(a.y, b.y)); k <= band(Math.max(a.y, b.y)); k++) bands[k].push(edge);
+  }
+
+  // Calls visit(a, b) for every edge touching [y0, y1], stopping early if it returns false.
+  // Edges spanning several bands may be visited more than once.
+  const eachNear = (y0, y1, visit) => {
+    for (let k = band(y0), k1 = band(y1); k <= k1; k++) {
+      for (const [a, b] of bands[k]) if (visit(a, b) === false) return false;
+    }
+    return true;
+  };
+  return { eachNear };
+}
+
+function distanceToSegmentSquared(p, a, b) {
+  const dx = b.x - a.x, dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+  const ex = p.x - (a.x + t * dx), ey = p.y - (a.y + t * dy);
+  return ex * ex + ey * ey;
+}
+
+// Splits a polyline where it crosses the shapes' boundaries and keeps the open pieces that lie
+// inside material and at least `margin` away from every cut edge.
+export function clipToShapes(path, shapes, { closed = true, margin = 0 } = {}) {
+  if (path.length < 2 || shapes.length === 0) return [];
+  const index = createEdgeIndex(shapes);
+
+  const inside = p => {
+    let odd = false;
+    index.eachNear(p.y, p.y, (a, b) => {
+      if ((a.y > p.y) !== (b.y > p.y) && p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x) odd = !odd;
+    });
+    return odd;
+  };
+  const clear = p => index.eachNear(p.y - margin, p.y + margin, (a, b) =>
+    Math.min(a.x, b.x) - p.x > margin || p.x - Math.max(a.x, b.x) > margin ||
+    distanceToSegmentSquared(p, a, b) >= margin * margin);
+
+  const pieces = [];
+  let current = null;
+  const segments = closed ? path.length : path.length - 1;
+  for (let i = 0; i < segments; i++) {
+    const a = path[i], b = path[(i + 1) % path.length];
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const at = t => ({ x: a.x + dx * t, y: a.y + dy * t });
+
+    const ts = [0, 1];
+    index.eachNear(Math.min(a.y, b.y), Math.max(a.y, b.y), (c, d) => {
+      const ex = d.x - c.x, ey = d.y - c.y;
+      const denom = dx * ey - dy * ex;
+      if (Math.abs(denom) < 1e-12) return; // Parallel edges never split the segment
+      const t = ((c.x - a.x) * ey - (c.y - a.y) * ex) / denom;
+      const u = ((c.x - a.x) * dy - (c.y - a.y) * dx) / denom;
+      if (t > 0 && t < 1 && u >= 0 && u <= 1) ts.push(t);
+    });
+    ts.sort((x, y) => x - y);
+
+    for (let k = 0; k + 1 < ts.length; k++) {
+      if (ts[k + 1] - ts[k] < 1e-9) continue;
+      const mid = at((ts[k] + ts[k + 1]) / 2);
+      if (!inside(mid) || !clear(mid)) {
+        current = null;
+        continue;
+      }
+      if (!current) {
+        current = [at(ts[k])];
+        pieces.push(current);
+      }
+      current.push(at(ts[k + 1]));
+    }
+  }
+
+  // A closed path kept all the way round its start point comes back as one piece
+  if (closed && pieces.length > 1 && current === pieces[pieces.length - 1]) {
+    const first = pieces[0], last = pieces[pieces.length - 1];
+    if (first[0].x === path[0].x && first[0].y === path[0].y) {
+      pieces[0] = [...last, ...first.slice(1)];
+      pieces.pop();
+    }
+  }
+  return pieces;
+}
+
+// Engrave lines showing where the next layer up sits on each stacked layer. Pieces that run
+// along (or within `margin` of) the layer's own cut lines are left out.
+export function applyPlacementGuides(parts, margin = 0.5) {
+  return parts.map((part, i) => {
+    const above = parts[i + 1];
+    if (part.kind !== 'layer' || above?.kind !== 'layer') return part;
+    const guides = above.shapes
+      .flatMap(({ outer, holes }) => [outer, ...holes])
+      .flatMap(path => clipToShapes(path, part.shapes, { margin }));
+    return { ...part, engrave: [...(part.engrave || []), ...guides] };
+  });
+}
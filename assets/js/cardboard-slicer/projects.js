@@ -0,0 +1,131 @@
+/**
+ * Cardboard Slicer - saved projects
+ *
+ * A project is the source mesh (the uploaded file's bytes) plus every setting needed to
+ * rebuild the same job: { id, name, fileName, updatedAt, settings, mesh }. Projects live in
+ * IndexedDB, with the meshes in their own store so listing recent projects stays cheap.
+ * A project can also be written to a single JSON file (mesh as base64) and read back.
+ */
+
+const DB_NAME = 'cardboard-slicer';
+const DB_VERSION = 1;
+const PROJECTS = 'projects'; // { id, name, fileName, updatedAt, settings }
+const MESHES = 'meshes'; // { id, buffer }
+
+export const PROJECT_FILE_FORMAT = 'cardboard-slicer-project';
+const PROJECT_FILE_VERSION = 1;
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(PROJECTS)) db.createObjectStore(PROJECTS, { keyPath: 'id' });
+      if (!db.objectStoreNames.contains(MESHES)) db.createObjectStore(MESHES, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Runs `work(stores)` in one transaction and resolves with its result once the transaction commits
+async function transaction(storeNames, mode, work) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const stores = Object.fromEntries(storeNames.map(name => [name, tx.objectStore(name)]));
+    let result;
+    Promise.resolve(work(stores)).then(value => { result = value; }, reject);
+    tx.oncomplete = () => { db.close(); resolve(result); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+    tx.onabort = () => { db.close(); reject(tx.error); };
+  });
+}
+
+const requestResult = request => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const createProjectId = () => `project-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// Most recently saved first, without meshes
+export async function listProjects() {
+  const projects = await transaction([PROJECTS], 'readonly', stores => requestResult(stores[PROJECTS].getAll()));
+  return projects.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export async function saveProject({ mesh, ...project }) {
+  const record = { ...project, updatedAt: Date.now() };
+  await transaction([PROJECTS, MESHES], 'readwrite', stores => {
+    stores[PROJECTS].put(record);
+    stores[MESHES].put({ id: record.id, buffer: mesh });
+  });
+  return record;
+}
+
+export async function loadProject(id) {
+  return transaction([PROJECTS, MESHES], 'readonly', async stores => {
+    const [project, mesh] = await Promise.all([
+      requestResult(stores[PROJECTS].get(id)),
+      requestResult(stores[MESHES].get(id))
+    ]);
+    if (!project || !mesh) throw new Error('Project not found');
+    return { ...project, mesh: mesh.buffer };
+  });
+}
+
+export async function deleteProject(id) {
+  await transaction([PROJECTS, MESHES], 'readwrite', stores => {
+    stores[PROJECTS].delete(id);
+    stores[MESHES].delete(id);
+  });
+}
+
+// --- Project Files ---
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes.buffer;
+}
+
+export function projectToFile({ name, fileName, settings, mesh }) {
+  return JSON.stringify({
+    format: PROJECT_FILE_FORMAT,
+    version: PROJECT_FILE_VERSION,
+    name,
+    fileName,
+    settings,
+    mesh: toBase64(mesh)
+  });
+}
+
+// Returns { name, fileName, settings, mesh } without an id, so an import never overwrites a
+// stored project; throws on anything that is not a project file this version can read
+export function projectFromFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Not a project file');
+  }
+  if (data?.format !== PROJECT_FILE_FORMAT) throw new Error('Not a project file');
+  if (data.version > PROJECT_FILE_VERSION) throw new Error('Project file is from a newer version');
+  const { mesh, settings } = data;
+  if (typeof mesh !== 'string' || !settings || typeof settings !== 'object' || Array.isArray(settings)) throw new Error('Project file is incomplete');
+  return { name: data.name || data.fileName || 'Imported project', fileName: data.fileName || 'model.stl', settings, mesh: fromBase64(mesh) };
+}
@@ -0,0 +1,172 @@
+/**
+ * Cardboard Slicer - background worker
+ *
+ * Owns the parsed mesh so the page never blocks on parsing, normalizing or slicing.
+ * Messages in:  load { buffer, fileName, scaling, orientation },
+ *               normalize { scaling, orientation }, layFlat,
+ *               slice { jobId, construction, thickness, count, ribsX, ribsY, dowels },
+ *               cancel { jobId },
+ *               nest { nestId, sheet, parts } (parts packed as by packShapes)
+ * Messages out: model, layFlat, progress, part, done, cancelled, layout, error
+ */
+import { parseModel } from './parsers.js';
+import { orientTriangles, findLayFlatRotation, normalizeTriangles, fitScale, buildZIndex, createZSweep, sliceLayer, trianglesToPositions, packShapes, unpackShapes } from './geometry.js';
+import { nestContours } from './polygons.js';
+import { ribPositions, createRibSlicer, cutWaffleSlots } from './waffle.js';
+import { nestParts, sheetCapacity } from './nesting.js';
+import { planDowels } from './dowels.js';
+
+let rawTriangles = null;
+let model = null;
+let zIndex = null;
+let activeJob = null;
+
+const postModel = () => {
+  const positions = trianglesToPositions(model.triangles);
+  self.postMessage({
+    type: 'model',
+    positions,
+    scale: model.scale,
+    width: model.width,
+    length: model.length,
+    height: model.height,
+    triangleCount: model.triangles.length
+  }, [positions.buffer]);
+};
+
+// The Z index is rebuilt with every normalization so slicing never sees stale geometry.
+// Fit-to-sheet scaling ({ mode: 'fit', sheet, construction, kerf }) checks the sections the
+// chosen construction will cut: layers across Z, or ribs across X and Y.
+const normalizeModel = (scaling, orientation) => {
+  const oriented = orientTriangles(rawTriangles, orientation);
+  if (scaling.mode === 'fit') {
+    const axes = scaling.construction === 'waffle' ? ['x', 'y'] : ['z'];
+    const factor = fitScale(oriented, { ...sheetCapacity(scaling.sheet, scaling.kerf), allowRotation: scaling.sheet.allowRotation, axes });
+    scaling = { mode: 'factor', factor };
+  }
+  model = normalizeTriangles(oriented, scaling);
+  zIndex = buildZIndex(model.triangles);
+  postModel();
+};
+
+// part: { label, kind: 'layer' | 'rib', axis, position } describes where the shapes sit
+const postPart = (jobId, index, count, part, shapes) => {
+  const { coords, offsets, shapeStarts } = packShapes(shapes);
+  self.postMessage(
+    { type: 'part', jobId, index, count, part, coords, offsets, shapeStarts },
+    [coords.buffer, offsets.buffer, shapeStarts.buffer]
+  );
+};
+
+// Runs step(i) for i in [0, count) yielding between steps so cancel messages get a chance to run.
+// Steps run from timers, outside onmessage's try/catch, so failures are reported from here.
+const runSteps = (jobId, count, step, finish) => {
+  let current = 0;
+  const next = () => {
+    // A newer job or a cancel message replaced us while we were yielding
+    if (activeJob !== jobId) return;
+    try {
+      if (current >= count) {
+        activeJob = null;
+        finish();
+        return;
+      }
+      step(current++);
+    } catch (err) {
+      activeJob = null;
+      self.postMessage({ type: 'error', request: 'slice', jobId, message: err.message });
+      return;
+    }
+    setTimeout(next, 0);
+  };
+  next();
+};
+
+// dowels: { count, diameter }. Layers stream out as they are sliced; dowel positions depend on
+// every layer, so they come with 'done' and the page drills them after its cleanup
+const runStacked = ({ jobId, thickness, count, dowels }) => {
+  const zStart = thickness / 2;
+  const activeAt = createZSweep(zIndex);
+  const parts = [];
+
+  runSteps(jobId, count, (i) => {
+    const z = zStart + i * thickness;
+    const part = { label: `Layer ${i + 1}`, kind: 'layer', axis: 'z', position: z };
+    const shapes = nestContours(sliceLayer(model.triangles, z, activeAt(z)));
+    parts.push({ ...part, shapes });
+    postPart(jobId, i, count, part, shapes);
+  }, () => {
+    const plan = dowels?.count > 0 ? planDowels(parts, dowels) : { dowels: [], breaks: [], undrilled: [] };
+    self.postMessage({ type: 'done', jobId, count, ...plan });
+  });
+};
+
+const runWaffle = ({ jobId, thickness, ribsX, ribsY }) => {
+  const ribs = [
+    ...ribPositions(model.width, ribsX).map((position, i) => ({ label: `X${i + 1}`, axis: 'x', position })),
+    ...ribPositions(model.length, ribsY).map((position, i) => ({ label: `Y${i + 1}`, axis: 'y', position }))
+  ];
+  const slicers = { x: createRibSlicer(model.triangles, 'x'), y: createRibSlicer(model.triangles, 'y') };
+  const count = ribs.length;
+
+  runSteps(jobId, count, (i) => {
+    ribs[i].shapes = slicers[ribs[i].axis](ribs[i].position);
+    self.postMessage({ type: 'progress', jobId, progress: ((i + 1) / count) * 100 });
+  }, () => {
+    // Slots need every rib profile, so parts are only sent once all ribs are sliced
+    const slotFailures = cutWaffleSlots(ribs.filter(r => r.axis === 'x'), ribs.filter(r => r.axis === 'y'), thickness);
+    ribs.forEach(({ shapes, ...part }, i) => postPart(jobId, i, count, { ...part, kind: 'rib' }, shapes));
+    self.postMessage({ type: 'done', jobId, count, slotFailures });
+  });
+};
+
+const runSlice = (msg) => {
+  activeJob = msg.jobId;
+  if (msg.construction === 'waffle') runWaffle(msg);
+  else runStacked(msg);
+};
+
+self.onmessage = async (e) => {
+  const msg = e.data;
+  try {
+    switch (msg.type) {
+      case 'load': {
+        activeJob = null;
+        const triangles = await parseModel(msg.buffer, msg.fileName);
+        if (triangles.length === 0) throw new Error("No triangles found in model");
+        rawTriangles = triangles;
+        normalizeModel(msg.scaling, msg.orientation);
+        break;
+      }
+      case 'normalize':
+        if (!rawTriangles) return;
+        activeJob = null;
+        normalizeModel(msg.scaling, msg.orientation);
+        break;
+      case 'layFlat':
+        if (!rawTriangles) return;
+        self.postMessage({ type: 'layFlat', rotation: findLayFlatRotation(rawTriangles) });
+        break;
+      case 'slice':
+        if (!model) throw new Error("No model loaded");
+        runSlice(msg);
+        break;
+      case 'nest': {
+        // The page nests its finished cut outlines, not the raw slices held here
+        const parts = msg.parts.map(packed => ({ shapes: unpackShapes(packed) }));
+        self.postMessage({ type: 'layout', nestId: msg.nestId, layout: nestParts(parts, msg.sheet) });
+        break;
+      }
+      case 'cancel':
+        if (activeJob === msg.jobId) {
+          activeJob = null;
+          self.postMessage({ type: 'cancelled', jobId: msg.jobId });
+        }
+        break;
+      default:
+        break;
+    }
+  } catch (err) {
+    self.postMessage({ type: 'error', request: msg.type, message: err.message });
+  }
+};
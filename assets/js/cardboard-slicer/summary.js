@@ -0,0 +1,119 @@
+/**
+ * Cardboard Slicer - job summary and printable job sheet
+ *
+ * Walks every sheet in export order (the planCuts() tour) to total cut and engrave lengths,
+ * pierces and head travel. The time is that of the G-code program for the sheet, planned
+ * with the machine profile (feeds, passes, knife plunges) exactly as the G-code export
+ * plans it. Lengths are in mm, feeds in mm/min, times in seconds.
+ */
+import { planCuts } from './cutorder.js';
+import { planSheet, planTimeline } from './gcode.js';
+import { partArea } from './nesting.js';
+
+function pathLength(path, closed) {
+  let length = 0;
+  for (let i = 1; i < path.length; i++) length += Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y);
+  if (closed && path.length > 1) length += Math.hypot(path[0].x - path[path.length - 1].x, path[0].y - path[path.length - 1].y);
+  return length;
+}
+
+// Lengths and travel are for one pass with the head starting and ending at the machine's
+// origin corner, as in the G-code. naiveTravel is the travel the unoptimized layout order would have needed.
+export function summarizeSheet(sheet, parts, machine) {
+  const plan = planCuts(sheet, parts, machine.origin);
+  const { ops, travel, naiveTravel } = plan;
+  const stats = { cut: 0, engrave: 0, travel, naiveTravel, pierces: 0, labels: sheet.placements.map(p => parts[p.part].label) };
+  ops.forEach(({ kind, path, closed }) => {
+    stats[kind] += pathLength(path, closed);
+    if (kind === 'cut') stats.pierces++;
+  });
+  stats.time = planTimeline(planSheet(sheet, parts, machine, plan), machine).duration;
+  return stats;
+}
+
+// sheetCost may be null when no material (and so no price) is selected
+export function summarizeJob(layout, parts, machine, sheetCost = null) {
+  const sheets = layout.sheets.map(sheet => summarizeSheet(sheet, parts, machine));
+  const total = key => sheets.reduce((sum, s) => sum + s[key], 0);
+  return {
+    sheets,
+    cut: total('cut'),
+    engrave: total('engrave'),
+    travel: total('travel'),
+    naiveTravel: total('naiveTravel'),
+    pierces: total('pierces'),
+    time: total('time'),
+    stockArea: layout.sheets.reduce((sum, sheet) => sum + sheet.width * sheet.height, 0),
+    partArea: parts.reduce((sum, part) => sum + partArea(part), 0),
+    cost: sheetCost === null ? null : sheetCost * layout.sheets.length
+  };
+}
+
+export function formatDuration(seconds) {
+  const s = Math.round(seconds);
+  const h = Math.floor(s / 3600), m = Math.floor((s % 3600) / 60);
+  if (h) return `${h}h ${String(m).padStart(2, '0')}m`;
+  return `${m}m ${String(s % 60).padStart(2, '0')}s`;
+}
+
+export const formatLength = mm => (mm >= 1000 ? `${(mm / 1000).toFixed(2)} m` : `${mm.toFixed(0)} mm`);
+export const formatArea = mm2 => `${(mm2 / 1e6).toFixed(3)} m²`;
+
+const escapeHTML = text => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+// Standalone HTML page for printing: totals, settings and one preview per sheet
+export function jobSheetHTML({ title, summary, machine, material, svgs }) {
+  const row = (label, value) => `<tr><th>${escapeHTML(label)}</th><td>${escapeHTML(value)}</td></tr>`;
+  const knife = machine.tool === 'knife';
+  const totals = [
+    row('Material', material ? `${material.name} (${material.thickness}mm)` : 'Custom'),
+    row('Sheets', summary.sheets.length),
+    row('Cut length', formatLength(summary.cut)),
+    row('Engrave length', formatLength(summary.engrave)),
+    row('Pierces', summary.pierces),
+    row('Travel', `${formatLength(summary.travel)} (${formatLength(summary.naiveTravel - summary.travel)} saved by cut ordering)`),
+    row('Estimated run time', formatDuration(summary.time)),
+    row('Stock area', formatArea(summary.stockArea)),
+    row('Part area', formatArea(summary.partArea)),
+    row('Material cost', summary.cost === null ? 'n/a' : summary.cost.toFixed(2))
+  ].join('');
+  const speeds = [
+    row('Machine', knife ? 'Drag knife' : 'Laser'),
+    row('Cut feed', `${machine.cutFeed} mm/min`),
+    row('Engrave feed', `${machine.engraveFeed} mm/min`),
+    row('Travel feed', `${machine.travelFeed} mm/min`),
+    row('Passes', machine.passes),
+    ...(knife ? [row('Plunge feed', `${machine.plungeFeed} mm/min`)] : [])
+  ].join('');
+  const sheets = summary.sheets.map((s, i) => `
+    <section class="sheet">
+      <h2>Sheet ${i + 1}</h2>
+      <p>${formatLength(s.cut)} cut, ${formatLength(s.engrave)} engraved, ${s.pierces} pierces, about ${formatDuration(s.time)}</p>
+      <p class="parts">${s.labels.map(escapeHTML).join(', ')}</p>
+      <div class="preview">${svgs[i]}</div>
+    </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)}</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; color: #111; }
+  table { border-collapse: collapse; margin-bottom: 1.5em; }
+  th, td { text-align: left; padding: 0.2em 1.5em 0.2em 0; border-bottom: 1px solid #ddd; }
+  th { font-weight: normal; color: #555; }
+  .sheet { page-break-inside: avoid; margin-top: 2em; }
+  .parts { color: #555; font-size: 0.9em; }
+  .preview svg { width: 100%; height: auto; max-height: 60vh; border: 1px solid #aaa; }
+  .preview path { stroke-width: 0.5; }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<table>${totals}</table>
+<table>${speeds}</table>
+${sheets}
+</body>
+</html>`;
+}
@@ -0,0 +1,129 @@
+/**
+ * Cardboard Slicer - holding tabs
+ *
+ * Leaves short uncut bridges in each part's outer boundary so small parts stay in the sheet
+ * instead of dropping through the bed. Tabs sit on the straightest, longest runs of the
+ * outline, spread evenly around it. A tabbed outer keeps its closed `outer` (for nesting,
+ * containment and display) and gains `runs`: the open polylines that are actually cut.
+ * Holes are left untabbed so their scrap falls free. Sizes are in mm.
+ */
+
+export const DEFAULT_TABS = { count: 0, width: 0.6 };
+
+const STRAIGHT = Math.cos((8 * Math.PI) / 180); // Turns under 8° still count as one straight run
+
+// Cumulative arc length at every vertex, closing segment included (length n + 1)
+function arcLengths(path) {
+  const lengths = [0];
+  for (let i = 0; i < path.length; i++) {
+    const a = path[i], b = path[(i + 1) % path.length];
+    lengths.push(lengths[i] + Math.hypot(b.x - a.x, b.y - a.y));
+  }
+  return lengths;
+}
+
+// Straight runs as arc-length intervals [from, to] (to may pass the perimeter when a run wraps)
+function straightRuns(path, lengths) {
+  const n = path.length, perimeter = lengths[n];
+  const dir = i => {
+    const a = path[i], b = path[(i + 1) % n];
+    const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    return { x: (b.x - a.x) / len, y: (b.y - a.y) / len };
+  };
+  const bends = [];
+  for (let i = 0; i < n; i++) {
+    const u = dir((i - 1 + n) % n), v = dir(i);
+    if (u.x * v.x + u.y * v.y < STRAIGHT) bends.push(i);
+  }
+  if (bends.length === 0) return [[0, perimeter]]; // A smooth loop is one long run
+  return bends.map((b, k) => {
+    const next = bends[(k + 1) % bends.length];
+    const to = next > b ? lengths[next] : lengths[next] + perimeter;
+    return [lengths[b], to];
+  });
+}
+
+// Point at arc length s (wrapping) along a closed path
+function pointAt(path, lengths, s) {
+  const perimeter = lengths[path.length];
+  s = ((s % perimeter) + perimeter) % perimeter;
+  let i = 0;
+  while (i < path.length - 1 && lengths[i + 1] < s) i++;
+  const a = path[i], b = path[(i + 1) % path.length];
+  const t = (s - lengths[i]) / ((lengths[i + 1] - lengths[i]) || 1);
+  return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+}
+
+// Open polyline along the loop from arc length `from` to `to` (to > from, may wrap once)
+function slice(path, lengths, from, to) {
+  const perimeter = lengths[path.length];
+  const points = [pointAt(path, lengths, from)];
+  for (let lap = 0; lap < 2; lap++) {
+    for (let i = 0; i < path.length; i++) {
+      const s = lengths[i] + lap * perimeter;
+      if (s > from && s < to) points.push(path[i]);
+    }
+  }
+  points.push(pointAt(path, lengths, to));
+  return points;
+}
+
+// Tab centres as arc lengths: one per evenly spaced target, each moved onto the nearest
+// straight run long enough to hold it (away from the run's corners and from tabs already
+// placed), falling back to the target itself on curvy outlines
+function placeTabs(path, lengths, count, width) {
+  const perimeter = lengths[path.length];
+  const spacing = perimeter / (count * 2);
+  const runs = straightRuns(path, lengths).filter(([from, to]) => to - from >= width * 3);
+  const around = (a, b) => {
+    const gap = Math.abs(a - b) % perimeter;
+    return Math.min(gap, perimeter - gap);
+  };
+  const centres = [];
+  for (let k = 0; k < count; k++) {
+    const target = ((k + 0.5) / count) * perimeter;
+    let best = null;
+    runs.forEach(([from, to]) => {
+      const smooth = to - from >= perimeter; // A loop without corners to keep clear of
+      const margin = Math.max(width * 1.5, (to - from) / 4);
+      // The run may wrap past the start of the loop, so try the target a lap later too
+      [target, target + perimeter].forEach(t => {
+        const centre = smooth ? t : Math.min(Math.max(t, from + margin), to - margin);
+        if (centres.some(c => around(c, centre) < spacing)) return;
+        const d = around(centre, target);
+        if (!best || d < best.d) best = { centre, d };
+      });
+    });
+    centres.push(best ? best.centre % perimeter : target);
+  }
+  return centres.sort((a, b) => a - b);
+}
+
+// Cut runs for one outer boundary, or null when it is too short for the tabs asked for
+export function tabRuns(path, count, width) {
+  if (count <= 0 || width <= 0 || path.length < 3) return null;
+  const lengths = arcLengths(path);
+  const perimeter = lengths[path.length];
+  count = Math.min(count, Math.floor(perimeter / (width * 4)));
+  if (count <= 0) return null;
+
+  // Tabs that ended up touching (fallbacks next to a snapped tab) become one
+  const centres = placeTabs(path, lengths, count, width)
+    .filter((c, k, all) => k === 0 || c - all[k - 1] > width * 2);
+  if (centres.length > 1 && centres[0] + perimeter - centres[centres.length - 1] <= width * 2) centres.pop();
+  return centres.map((c, k) => {
+    const next = k + 1 < centres.length ? centres[k + 1] : centres[0] + perimeter;
+    return slice(path, lengths, c + width / 2, next - width / 2);
+  }).filter(run => run.length >= 2);
+}
+
+export function applyTabs(parts, { count, width }) {
+  if (count <= 0 || width <= 0) return parts;
+  return parts.map(part => ({
+    ...part,
+    shapes: part.shapes.map(shape => {
+      const runs = tabRuns(shape.outer, count, width);
+      return runs ? { ...shape, runs } : shape;
+    })
+  }));
+}
@@ -0,0 +1,152 @@
+/**
+ * Cardboard Slicer - toolpath playback
+ *
+ * Replays a sheet's G-code plan on a 2D canvas at the machine's feeds (sped up), drawing
+ * travel moves dashed, engraving blue and cuts black, with the head as an orange dot.
+ */
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Play, Pause, RotateCcw, X } from 'lucide-react';
+import { planTimeline } from './gcode.js';
+import { SVG_COLORS } from './exporters.js';
+import { formatDuration } from './summary.js';
+
+const SPEEDS = [1, 5, 20, 100];
+const VIEW_WIDTH = 860, VIEW_HEIGHT = 520; // px available for the sheet
+
+// sheets: nested sheets, plans: the matching planSheet() results
+export default function ToolpathPlayer({ sheets, plans, machine, onClose }) {
+  const [sheetIdx, setSheetIdx] = useState(0);
+  const [time, setTime] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(20);
+  const canvasRef = useRef(null);
+
+  const sheet = sheets[sheetIdx];
+  const timeline = useMemo(() => planTimeline(plans[sheetIdx], machine), [plans, sheetIdx, machine]);
+
+  useEffect(() => {
+    setTime(0);
+    setPlaying(false);
+  }, [timeline]);
+
+  // Playback clock
+  useEffect(() => {
+    if (!playing) return;
+    let last = performance.now();
+    let frame;
+    const tick = (now) => {
+      setTime(t => Math.min(timeline.duration, t + ((now - last) / 1000) * speed));
+      last = now;
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, speed, timeline]);
+
+  useEffect(() => {
+    if (time >= timeline.duration) setPlaying(false);
+  }, [time, timeline]);
+
+  // Draw everything the head has done up to `time`
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const scale = Math.min(VIEW_WIDTH / sheet.width, VIEW_HEIGHT / sheet.height);
+    canvas.width = Math.ceil(sheet.width * scale) + 20;
+    canvas.height = Math.ceil(sheet.height * scale) + 20;
+    const ctx = canvas.getContext('2d');
+
+    // Machine coordinates (Y up) of the sheet's bottom-left corner
+    const minX = machine.origin.endsWith('right') ? -sheet.width : 0;
+    const minY = machine.origin.startsWith('top') ? -sheet.height : 0;
+    const px = p => [10 + (p.x - minX) * scale, 10 + (sheet.height - (p.y - minY)) * scale];
+
+    ctx.fillStyle = '#e5e5e5';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(10, 10, sheet.width * scale, sheet.height * scale);
+
+    let head = { x: 0, y: 0 };
+    const strokes = { travel: new Path2D(), engrave: new Path2D(), cut: new Path2D() };
+    for (const seg of timeline.segments) {
+      if (seg.start >= time) break;
+      const f = Math.min(1, (time - seg.start) / seg.duration);
+      head = { x: seg.from.x + (seg.to.x - seg.from.x) * f, y: seg.from.y + (seg.to.y - seg.from.y) * f };
+      strokes[seg.kind].moveTo(...px(seg.from));
+      strokes[seg.kind].lineTo(...px(head));
+    }
+
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.strokeStyle = '#a3a3a3';
+    ctx.stroke(strokes.travel);
+    ctx.setLineDash([]);
+    ctx.strokeStyle = SVG_COLORS.engrave;
+    ctx.stroke(strokes.engrave);
+    ctx.lineWidth = 1.5;
+    ctx.strokeStyle = SVG_COLORS.cut;
+    ctx.stroke(strokes.cut);
+
+    // Machine origin and head
+    ctx.fillStyle = '#16a34a';
+    ctx.beginPath();
+    ctx.arc(...px({ x: 0, y: 0 }), 4, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#f97316';
+    ctx.beginPath();
+    ctx.arc(...px(head), 5, 0, Math.PI * 2);
+    ctx.fill();
+  }, [timeline, time, sheet, machine]);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/70 flex items-center justify-center p-6">
+      <div className="bg-neutral-900 border border-neutral-700 rounded-lg shadow-2xl p-4 space-y-3 max-w-full">
+        <div className="flex items-center justify-between">
+          <span className="text-sm font-semibold">Toolpath Preview ({machine.tool === 'knife' ? 'drag knife' : 'laser'})</span>
+          <button onClick={onClose} className="text-neutral-400 hover:text-white" title="Close"><X className="w-5 h-5" /></button>
+        </div>
+
+        <canvas ref={canvasRef} className="block max-w-full" />
+
+        <div className="flex items-center space-x-3 text-sm">
+          <button
+            onClick={() => {
+              if (time >= timeline.duration) setTime(0);
+              setPlaying(p => !p);
+            }}
+            className="p-2 bg-orange-600 hover:bg-orange-500 rounded-md"
+            title={playing ? 'Pause' : 'Play'}
+          >{playing ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}</button>
+          <button
+            onClick={() => { setTime(0); setPlaying(false); }}
+            className="p-2 bg-neutral-950 border border-neutral-800 hover:border-orange-500 rounded-md"
+            title="Restart"
+          ><RotateCcw className="w-4 h-4" /></button>
+          <input
+            type="range" min="0" max={timeline.duration} step="any"
+            value={time}
+            onChange={(e) => { setTime(Number(e.target.value)); setPlaying(false); }}
+            className="flex-1 accent-orange-500"
+          />
+          <span className="font-mono text-xs text-neutral-400 whitespace-nowrap">{formatDuration(time)} / {formatDuration(timeline.duration)}</span>
+          <select
+            value={speed}
+            onChange={(e) => setSpeed(Number(e.target.value))}
+            className="bg-neutral-950 border border-neutral-800 rounded-md py-1 px-2 text-xs"
+          >
+            {SPEEDS.map(s => <option key={s} value={s}>{s}×</option>)}
+          </select>
+          {sheets.length > 1 && (
+            <select
+              value={sheetIdx}
+              onChange={(e) => setSheetIdx(Number(e.target.value))}
+              className="bg-neutral-950 border border-neutral-800 rounded-md py-1 px-2 text-xs"
+            >
+              {sheets.map((_, i) => <option key={i} value={i}>Sheet {i + 1}</option>)}
+            </select>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+/**
+ * Cardboard Slicer - interlocking waffle (sliceform) construction
+ *
+ * Two orthogonal sets of vertical ribs: X ribs stand on planes x = const and are drawn in
+ * (u = y, v = z), Y ribs stand on planes y = const and are drawn in (u = x, v = z). Where
+ * two ribs cross, each gets a half-depth slot one material thickness wide: X ribs are
+ * slotted from the top, Y ribs from the bottom, so the pair slides together.
+ */
+import { buildZIndex, createZSweep, sliceLayer } from './geometry.js';
+import { nestContours } from './polygons.js';
+
+// Rotate the rib plane's normal onto Z so the ordinary layer slicer can cut it
+const RIB_REMAP = {
+  x: v => ({ x: v.y, y: v.z, z: v.x }),
+  y: v => ({ x: v.x, y: v.z, z: v.y })
+};
+
+// A rib plane through mesh vertices (the seam of a symmetric mesh, often the middle rib)
+// loses the triangles that only touch it, so such planes are moved this far off (mm): well
+// clear of the segment chaining tolerance, far below anything a cutter resolves
+const RIB_NUDGE = 0.01;
+
+export function ribPositions(extent, count) {
+  return Array.from({ length: count }, (_, i) => -extent / 2 + (extent * (i + 0.5)) / count);
+}
+
+// Returns a function slicing rib profiles for one axis; ribs must be requested in
+// increasing position order to get the most out of the Z sweep.
+export function createRibSlicer(triangles, axis) {
+  const remap = RIB_REMAP[axis];
+  const remapped = triangles.map(tri => tri.map(remap));
+  const activeAt = createZSweep(buildZIndex(remapped));
+  return position => {
+    const onPlane = z => activeAt(z).some(i => remapped[i].some(v => Math.abs(v.z - z) < RIB_NUDGE / 10));
+    let z = position;
+    for (let k = 1; k <= 3 && onPlane(z); k++) z = position + RIB_NUDGE * k;
+    return nestContours(sliceLayer(remapped, z, activeAt(z)));
+  };
+}
+
+// Material spans along the vertical line u = const, as sorted [bottom, top] pairs
+function verticalIntervals(shapes, u) {
+  const vs = [];
+  for (const shape of shapes) {
+    for (const path of [shape.outer, ...shape.holes]) {
+      for (let i = 0, j = path.length - 1; i < path.length; j = i++) {
+        const a = path[j], b = path[i];
+        if ((a.x < u) !== (b.x < u)) {
+          vs.push(a.y + ((u - a.x) / (b.x - a.x)) * (b.y - a.y));
+        }
+      }
+    }
+  }
+  vs.sort((a, b) => a - b);
+  const intervals = [];
+  for (let i = 0; i + 1 < vs.length; i += 2) intervals.push([vs[i], vs[i + 1]]);
+  return intervals;
+}
+
+function overlapIntervals(a, b) {
+  const out = [];
+  for (const [a0, a1] of a) {
+    for (const [b0, b1] of b) {
+      const lo = Math.max(a0, b0), hi = Math.min(a1, b1);
+      if (hi > lo) out.push([lo, hi]);
+    }
+  }
+  return out;
+}
+
+// Replaces the stretch of boundary between u = uMin and u = uMax nearest vEdge with a
+// rectangular notch reaching down (or up) to vEnd. Returns null when that stretch of
+// boundary wanders outside the slot, in which case the notch cannot be cut cleanly.
+function insertNotch(path, uMin, uMax, vEdge, vEnd) {
+  const n = path.length;
+  const fromTop = vEdge > vEnd;
+
+  const crossing = (u) => {
+    let best = null;
+    for (let i = 0; i < n; i++) {
+      const a = path[i], b = path[(i + 1) % n];
+      if ((a.x < u) === (b.x < u)) continue;
+      const t = (u - a.x) / (b.x - a.x);
+      const v = a.y + t * (b.y - a.y);
+      if (fromTop ? v <= vEnd : v >= vEnd) continue;
+      if (!best || Math.abs(v - vEdge) < Math.abs(best.v - vEdge)) best = { i, t, v };
+    }
+    return best;
+  };
+
+  const A = crossing(uMin);
+  const B = crossing(uMax);
+  if (!A || !B) return null;
+
+  const insideSlot = (from, to) => {
+    for (let k = (from + 1) % n, steps = (to - from + n) % n; steps > 0; k = (k + 1) % n, steps--) {
+      if (path[k].x <= uMin || path[k].x >= uMax) return false;
+    }
+    return true;
+  };
+  const cyclic = (from, count) => Array.from({ length: count }, (_, k) => path[(from + k) % n]);
+
+  const pA = { x: uMin, y: A.v }, pB = { x: uMax, y: B.v };
+  const nA = { x: uMin, y: vEnd }, nB = { x: uMax, y: vEnd };
+
+  // Boundary runs A -> B: keep B ... A and splice the notch in between
+  if (A.i === B.i ? A.t < B.t : insideSlot(A.i, B.i)) {
+    const count = ((A.i - B.i + n) % n) || n;
+    return [...cyclic(B.i + 1, count), pA, nA, nB, pB];
+  }
+  // Boundary runs B -> A
+  if (A.i === B.i ? B.t < A.t : insideSlot(B.i, A.i)) {
+    const count = ((B.i - A.i + n) % n) || n;
+    return [...cyclic(A.i + 1, count), pB, nB, nA, pA];
+  }
+  return null;
+}
+
+function cutSlot(shapes, uMin, uMax, vEdge, vEnd) {
+  for (const shape of shapes) {
+    const outer = insertNotch(shape.outer, uMin, uMax, vEdge, vEnd);
+    if (outer) { shape.outer = outer; return true; }
+    for (let h = 0; h < shape.holes.length; h++) {
+      const hole = insertNotch(shape.holes[h], uMin, uMax, vEdge, vEnd);
+      if (hole) { shape.holes[h] = hole; return true; }
+    }
+  }
+  return false;
+}
+
+// xRibs / yRibs: [{ position, shapes }]. Mutates the shapes and returns the number of
+// crossings where a slot could not be cut.
+export function cutWaffleSlots(xRibs, yRibs, thickness) {
+  const half = thickness / 2;
+  let failed = 0;
+
+  // Measure every crossing before cutting so earlier slots cannot distort later spans
+  const crossings = [];
+  for (const xRib of xRibs) {
+    for (const yRib of yRibs) {
+      const spans = overlapIntervals(
+        verticalIntervals(xRib.shapes, yRib.position),
+        verticalIntervals(yRib.shapes, xRib.position)
+      );
+      for (const [lo, hi] of spans) crossings.push({ xRib, yRib, lo, hi });
+    }
+  }
+
+  for (const { xRib, yRib, lo, hi } of crossings) {
+    const mid = (lo + hi) / 2;
+    if (!cutSlot(xRib.shapes, yRib.position - half, yRib.position + half, hi, mid)) failed++;
+    if (!cutSlot(yRib.shapes, xRib.position - half, xRib.position + half, lo, mid)) failed++;
+  }
+  return failed;
+}
@@ -0,0 +1,100 @@
+/**
+ * Cardboard Slicer - connectSegments benchmark
+ *
+ * Compares the hash-grid chaining in geometry.js against the original linear-scan
+ * implementation on synthetic layers (shuffled segments of concentric rings).
+ * Run with: npm run bench:slicer
+ */
+import { connectSegments } from '../assets/js/cardboard-slicer/geometry.js';
+
+// Original implementation, kept here only as the benchmark baseline
+function connectSegmentsLinear(segments) {
+  let paths = [];
+  let remaining = [...segments];
+  const EPSILON = 1e-5;
+  const getDistSq = (pA, pB) => (pA.x - pB.x) ** 2 + (pA.y - pB.y) ** 2;
+
+  while (remaining.length > 0) {
+    let currentPath = [];
+    let currentSeg = remaining.pop();
+    currentPath.push(currentSeg.p1, currentSeg.p2);
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+      let head = currentPath[0];
+      let tail = currentPath[currentPath.length - 1];
+
+      for (let i = 0; i < remaining.length; i++) {
+        let seg = remaining[i];
+        if (getDistSq(seg.p1, tail) < EPSILON) {
+          currentPath.push(seg.p2); remaining.splice(i, 1); changed = true; break;
+        } else if (getDistSq(seg.p2, tail) < EPSILON) {
+          currentPath.push(seg.p1); remaining.splice(i, 1); changed = true; break;
+        } else if (getDistSq(seg.p1, head) < EPSILON) {
+          currentPath.unshift(seg.p2); remaining.splice(i, 1); changed = true; break;
+        } else if (getDistSq(seg.p2, head) < EPSILON) {
+          currentPath.unshift(seg.p1); remaining.splice(i, 1); changed = true; break;
+        }
+      }
+    }
+
+    // Close the loop if head meets tail
+    if (currentPath.length > 2 && getDistSq(currentPath[0], currentPath[currentPath.length - 1]) < EPSILON) {
+      currentPath.pop();
+    }
+    paths.push(currentPath);
+  }
+  return paths;
+}
+
+function makeLayer(segmentCount, ringCount) {
+  const segments = [];
+  const perRing = Math.floor(segmentCount / ringCount);
+  for (let r = 0; r < ringCount; r++) {
+    const radius = 10 + r * 5;
+    const pts = [];
+    for (let i = 0; i < perRing; i++) {
+      const a = (i / perRing) * Math.PI * 2;
+      pts.push({ x: radius * Math.cos(a), y: radius * Math.sin(a) });
+    }
+    for (let i = 0; i < perRing; i++) {
+      segments.push({ p1: pts[i], p2: pts[(i + 1) % perRing] });
+    }
+  }
+  // Triangle order in a mesh is arbitrary, so shuffle deterministically
+  let seed = 42;
+  const rand = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  for (let i = segments.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [segments[i], segments[j]] = [segments[j], segments[i]];
+  }
+  return segments;
+}
+
+function time(fn) {
+  const start = performance.now();
+  const result = fn();
+  return { result, ms: performance.now() - start };
+}
+
+const summarize = (paths) => `${paths.length} paths / ${paths.reduce((n, p) => n + p.length, 0)} pts`;
+
+// Warm up the JIT so the first row is not dominated by compilation
+connectSegments(makeLayer(5000, 10));
+connectSegmentsLinear(makeLayer(1000, 10));
+
+for (const count of [1000, 5000, 20000, 50000]) {
+  const segments = makeLayer(count, 10);
+  const hashed = time(() => connectSegments(segments));
+  const linear = count <= 20000 ? time(() => connectSegmentsLinear(segments)) : null;
+
+  const line = [`${String(count).padStart(6)} segments`, `hash grid ${hashed.ms.toFixed(1).padStart(8)} ms (${summarize(hashed.result)})`];
+  if (linear) {
+    line.push(`linear ${linear.ms.toFixed(1).padStart(9)} ms (${summarize(linear.result)})`);
+    line.push(`x${(linear.ms / hashed.ms).toFixed(0)}`);
+  } else {
+    line.push('linear skipped (too slow)');
+  }
+  console.log(line.join(' | '));
+}
@@ -0,0 +1,27 @@
+/**
+ * Cardboard Slicer - cleanup regression checks
+ *
+ * Run with: npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cleanupParts } from '../assets/js/cardboard-slicer/cleanup.js';
+
+const rect = (w, h) => [{ x: 0, y: 0 }, { x: w, y: 0 }, { x: w, y: h }, { x: 0, y: h }];
+const strip = (w, h) => ({ label: 'A', shapes: [{ outer: rect(w, h), holes: [] }] });
+
+test('a long strip wider than minWidth is kept, however long', () => {
+  for (const length of [50, 300, 1000]) {
+    const { parts, report } = cleanupParts([strip(length, 1.5)], { minWidth: 1 });
+    assert.equal(parts[0].shapes.length, 1, `${length} x 1.5 mm strip`);
+    assert.equal(report.length, 0);
+  }
+});
+
+test('a long strip narrower than minWidth is dropped', () => {
+  for (const length of [50, 300, 1000]) {
+    const { parts, report } = cleanupParts([strip(length, 0.8)], { minWidth: 1 });
+    assert.equal(parts[0].shapes.length, 0, `${length} x 0.8 mm strip`);
+    assert.equal(report[0].islands, 1);
+  }
+});